@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+/**
+ * Command line tool to listen, emit and sniff the events of a group:
+ *
+ *     multicast-events listen <event...> [options]
+ *     multicast-events emit <event> [json args...] [options]
+ *     multicast-events sniff [event...] [options]
+ *
+ * The options are the options of the EventEmitter (e.g. `--id`, `--group`, `--port`, `--secret`, `--interface`
+ * and `--ttl`).
+ *
+ * @class node_modules.multicast_events.cli
+ * @author Marcello Gesmundo
+ */
+
+var util = require('util');
+var events = require('../index');
+
+var usage = [
+  'Usage: multicast-events <command> [arguments] [options]',
+  '',
+  'Commands:',
+  '  listen <event...>            print the events with their arguments and sender',
+  '  emit <event> [json args...]  emit an event (every argument is parsed as JSON or used as string)',
+  '  sniff [event...]             print the address and the ports of the group and every event of the group',
+  '                               (with the dedicated transport only the events provided and announced by the peers)',
+  '',
+  'Options:',
+  '  --id <id>                    the identifier of the application',
+  '  --group <group>              the group name or multicast address',
+  '  --port <port>                the base port',
+  '  --secret <secret>            the secret used to encrypt the messages',
+  '  --interface <address>        the address of the multicast interface',
+  '  --ttl <hops>                 the number of IP hops of a datagram',
+  '  --family <family>            ipv4 or ipv6',
+  '  --scope <scope>              the scope of the generated IPv6 address',
+  '  --transport <transport>      dedicated or shared',
+  '  --codec <codec>              amp, json or msgpack',
+  '  --reliable                   deliver the events in order',
+  '  --help                       print this help'
+].join('\n');
+
+// the options of the emitter with their type
+var options = {
+  id: String,
+  group: String,
+  port: Number,
+  secret: String,
+  interface: String,
+  ttl: Number,
+  family: String,
+  scope: Number,
+  transport: String,
+  codec: String,
+  reliable: Boolean
+};
+
+/**
+ * Parse the command line
+ * @param {Array} argv The arguments without the node executable and the script
+ * @return {Object} The `command`, the positional `args` and the `opts` of the emitter
+ * @ignore
+ */
+function parse(argv) {
+  var result = {
+    args: [],
+    opts: {}
+  };
+  var i, name, value;
+  for (i = 0; i < argv.length; i++) {
+    if (argv[i] === '--help' || argv[i] === '-h') {
+      result.help = true;
+    } else if (argv[i].indexOf('--') === 0) {
+      name = argv[i].slice(2);
+      value = undefined;
+      if (name.indexOf('=') !== -1) {
+        value = name.slice(name.indexOf('=') + 1);
+        name = name.slice(0, name.indexOf('='));
+      }
+      if (!options.hasOwnProperty(name)) {
+        throw new Error(util.format('unknown option --%s', name));
+      }
+      if (options[name] === Boolean) {
+        result.opts[name] = value === undefined || value === 'true';
+        continue;
+      }
+      if (value === undefined) {
+        if (i + 1 >= argv.length) {
+          throw new Error(util.format('the option --%s requires a value', name));
+        }
+        value = argv[++i];
+      }
+      result.opts[name] = options[name] === Number ? Number(value) : value;
+      if (options[name] === Number && isNaN(result.opts[name])) {
+        throw new Error(util.format('the option --%s requires a number', name));
+      }
+    } else if (result.command === undefined) {
+      result.command = argv[i];
+    } else {
+      result.args.push(argv[i]);
+    }
+  }
+  if (result.opts.secret !== undefined) {
+    result.opts.secure = true;
+  }
+  return result;
+}
+
+/**
+ * Parse an argument of the emitted event
+ * @param {String} arg The argument
+ * @return {Mixed} The JSON value or the argument if it is not JSON
+ * @ignore
+ */
+function parseArg(arg) {
+  try {
+    return JSON.parse(arg);
+  } catch (err) {
+    return arg;
+  }
+}
+
+/**
+ * Format the arguments of a received event
+ * @param {Array} args The arguments
+ * @return {String} The formatted arguments
+ * @ignore
+ */
+function format(args) {
+  return args.map(function (arg) {
+    return util.inspect(arg, { depth: null, breakLength: Infinity });
+  }).join(' ');
+}
+
+/**
+ * Print a received event
+ * @param {Array} args The arguments of the listener: the arguments of the event and the sender info
+ * @param {String} [destination] The address and the port of the event
+ * @ignore
+ */
+function print(args, destination) {
+  var rinfo = args[args.length - 1];
+  console.log('%s %s%s from %s:%d %s', new Date().toISOString(), rinfo.event,
+    destination ? ' (' + destination + ')' : '', rinfo.address, rinfo.port, format(args.slice(0, -1)));
+}
+
+/**
+ * Close the emitter on SIGINT and SIGTERM
+ * @param {EventEmitter} emitter The emitter
+ * @ignore
+ */
+function closeOnSignal(emitter) {
+  function close() {
+    emitter.close().then(function () {
+      process.exit(0);
+    });
+  }
+  process.once('SIGINT', close);
+  process.once('SIGTERM', close);
+}
+
+/**
+ * Listen the events printing their arguments and sender
+ * @param {EventEmitter} emitter The emitter
+ * @param {Array} names The events
+ * @ignore
+ */
+function listen(emitter, names) {
+  if (names.length === 0) {
+    throw new Error('listen requires at least an event');
+  }
+  names.forEach(function (event) {
+    emitter.on(event, function () {
+      print([].slice.call(arguments));
+    });
+  });
+  closeOnSignal(emitter);
+}
+
+/**
+ * Emit an event and close the emitter
+ * @param {EventEmitter} emitter The emitter
+ * @param {Array} args The event and its arguments
+ * @ignore
+ */
+function emit(emitter, args) {
+  if (args.length === 0) {
+    throw new Error('emit requires an event');
+  }
+  if (!emitter.isEmittable(args[0])) {
+    throw new Error(util.format('can\'t emit "%s": it is a local or reserved event, a pattern or longer than 255 bytes', args[0]));
+  }
+  var sent = emitter.emit.apply(emitter, [args[0]].concat(args.slice(1).map(parseArg)));
+  return sent.then(function () {
+    return emitter.close();
+  });
+}
+
+/**
+ * Print the address and the ports of the group and every event of the group. Using the shared transport every
+ * event is received, otherwise the events provided and the events announced by the peers (with the presence).
+ * @param {EventEmitter} emitter The emitter
+ * @param {Array} names The events
+ * @ignore
+ */
+function sniff(emitter, names) {
+  function destination(event) {
+    return util.format('%s:%d', emitter.getAddress(), emitter.getPort(event));
+  }
+  function subscribe(event) {
+    if (!emitter.hasListeners(event)) {
+      console.log('%s %s', event, destination(event));
+      emitter.on(event, function () {
+        print([].slice.call(arguments), destination(event));
+      });
+    }
+  }
+  console.log('group %s address %s family %s transport %s', emitter.group, emitter.getAddress(), emitter.family, emitter.transport);
+  if (emitter.transport === 'shared') {
+    console.log('* %s:%d', emitter.getAddress(), emitter.getPort('*'));
+    names.forEach(function (event) {
+      console.log('%s %s', event, destination(event));
+    });
+    emitter.onAny(function () {
+      var args = [].slice.call(arguments);
+      print(args, destination(args[args.length - 1].event));
+    });
+  } else {
+    names.forEach(subscribe);
+    emitter.on('peer-join', function (peer) {
+      peer.events.forEach(subscribe);
+    });
+  }
+  closeOnSignal(emitter);
+}
+
+var commands = {
+  listen: listen,
+  emit: emit,
+  sniff: sniff
+};
+
+/**
+ * Run the command line tool
+ * @param {Array} argv The arguments without the node executable and the script
+ * @ignore
+ */
+function main(argv) {
+  var parsed = parse(argv);
+  if (parsed.help || !parsed.command) {
+    console.log(usage);
+    return;
+  }
+  if (!commands.hasOwnProperty(parsed.command)) {
+    throw new Error(util.format('unknown command %s', parsed.command));
+  }
+  var opts = parsed.opts;
+  opts.name = 'multicast-events ' + parsed.command;
+  // the sniffer discovers the events of the peers
+  opts.presence = parsed.command === 'sniff' && opts.transport !== 'shared';
+  var emitter = new events.EventEmitter(opts);
+  emitter.on('error', function (err) {
+    console.error(err.message);
+  });
+  var result = commands[parsed.command](emitter, parsed.args);
+  if (result) {
+    result.catch(function (err) {
+      console.error(err.message);
+      process.exit(1);
+    });
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (err) {
+  console.error('%s\n\n%s', err.message, usage);
+  process.exit(1);
+}
@@ -0,0 +1,333 @@
+/**
+ * Relay the events between the groups of different sites (e.g. subnets or cloud VPCs not reached by the
+ * multicast): a bridge forwards the local events to the peer bridges over a TCP link (or any duplex stream, e.g.
+ * a WebSocket stream) and emits the events received from the peer bridges into the local group.
+ *
+ * Every link carries NDJSON frames: the `hello` frame with the id of the bridge and the `event` frames with
+ * the `origin` bridge, the sequence number (`seq`), the bridges crossed by the event (`path`), the `event` and
+ * the `args` (tagged as the json codec does).
+ *
+ * @class node_modules.multicast_events.bridge
+ * @author Marcello Gesmundo
+ */
+
+var net = require('net');
+var util = require('util');
+var crypto = require('crypto');
+var debug = require('debug')('events');
+var NodeEventEmitter = require('events').EventEmitter;
+var codecs = require('./codecs');
+
+var reconnectDelay = 100;
+var maxReconnectDelay = 30000;
+var maxFrameSize = 4194304;
+// the time to remember a relayed frame to drop its duplicates
+var dedupWindow = 60000;
+
+/**
+ * Emit an error of the bridge if it has error listeners
+ * @param {Error} err The error
+ * @ignore
+ */
+function fail(err) {
+  debug('%s: %s', this.name, err.message);
+  if (this.listenerCount('error') > 0) {
+    this.emit('error', err);
+  }
+}
+
+/**
+ * Write a frame to the links of the bridge
+ * @param {Object} frame The frame
+ * @param {Object} [except] The link excluded (the link that has received the frame)
+ * @ignore
+ */
+function broadcast(frame, except) {
+  var line = JSON.stringify(frame) + '\n';
+  this.links.forEach(function (link) {
+    if (link !== except && link.peer !== undefined) {
+      link.stream.write(line);
+    }
+  });
+}
+
+/**
+ * Verify that a frame is already received from another link
+ * @param {Object} frame The event frame
+ * @return {Boolean} True if the frame is already received
+ * @ignore
+ */
+function isDuplicate(frame) {
+  var now = Date.now();
+  var key = frame.origin + ':' + frame.seq;
+  if (this.seen.hasOwnProperty(key)) {
+    return true;
+  }
+  if (now - this.seenPruned > dedupWindow) {
+    Object.keys(this.seen).forEach(function (seen) {
+      if (now - this.seen[seen] > dedupWindow) {
+        delete this.seen[seen];
+      }
+    }.bind(this));
+    this.seenPruned = now;
+  }
+  this.seen[key] = now;
+  return false;
+}
+
+/**
+ * Forward a local event to the peer bridges. The events emitted by the bridge are not forwarded.
+ * @param {Mixed...} args The arguments of the listener
+ * @ignore
+ */
+function forward() {
+  var args = [].slice.call(arguments);
+  if (this.emitter.trusted) {
+    args.pop();
+  }
+  var rinfo = args.pop();
+  if (rinfo.peer === this.emitter.getPeerId()) {
+    return;
+  }
+  var frame = {
+    type: 'event',
+    origin: this.id,
+    seq: this.seq++,
+    path: [this.id],
+    event: rinfo.event,
+    args: codecs.tag(args)
+  };
+  this.seen[frame.origin + ':' + frame.seq] = Date.now();
+  debug('%s forward "%s" to %d links', this.name, frame.event, this.links.length);
+  broadcast.call(this, frame);
+}
+
+/**
+ * Handle a frame received from a link: the events are relayed to the other links and emitted into the local group
+ * if they are allowed. The events already crossed by the bridge are dropped.
+ * @param {Object} link The link
+ * @param {String} line The frame
+ * @ignore
+ */
+function handleFrame(link, line) {
+  var frame;
+  try {
+    frame = JSON.parse(line);
+  } catch (err) {
+    fail.call(this, new Error(util.format('%s has received an invalid frame: %s', this.name, err.message)));
+    return;
+  }
+  if (frame.type === 'hello' && typeof frame.id === 'string') {
+    link.peer = frame.id;
+    debug('%s linked to the bridge %s', this.name, link.peer);
+    this.emit('link', link.peer);
+    return;
+  }
+  if (frame.type !== 'event' || link.peer === undefined || typeof frame.event !== 'string' ||
+      !Array.isArray(frame.args) || !Array.isArray(frame.path)) {
+    fail.call(this, new Error(util.format('%s has received an unexpected frame from the bridge %s', this.name, link.peer)));
+    return;
+  }
+  // a local or reserved event, a pattern or a too long event can't be emitted into the group
+  if (!this.emitter.isEmittable(frame.event)) {
+    fail.call(this, new Error(util.format('%s has received the event "%s" that can\'t be emitted from the bridge %s', this.name, frame.event, link.peer)));
+    return;
+  }
+  // the loops of the links
+  if (frame.origin === this.id || frame.path.indexOf(this.id) !== -1 || isDuplicate.call(this, frame)) {
+    debug('%s has dropped "%s" from the bridge %s: already relayed', this.name, frame.event, frame.origin);
+    return;
+  }
+  if (this.events.some(function (event) {
+    return this.emitter.matches(event, frame.event);
+  }.bind(this))) {
+    broadcast.call(this, {
+      type: 'event',
+      origin: frame.origin,
+      seq: frame.seq,
+      path: frame.path.concat(this.id),
+      event: frame.event,
+      args: frame.args
+    }, link);
+  }
+  if (!this.allow.some(function (event) {
+    return this.emitter.matches(event, frame.event);
+  }.bind(this))) {
+    debug('%s has dropped "%s" from the bridge %s: not allowed', this.name, frame.event, frame.origin);
+    return;
+  }
+  this.emitter.emit.apply(this.emitter, [frame.event].concat(codecs.untag(frame.args))).catch(function (err) {
+    fail.call(this, err);
+  }.bind(this));
+}
+
+/**
+ * Bridge class
+ *
+ * @class node_modules.multicast_events.Bridge
+ * @cfg {EventEmitter} emitter The emitter of the local group. The events emitted by this emitter are not forwarded, so it must be dedicated to the bridge
+ * @cfg {Object} opts Options
+ * @cfg {String/String[]} opts.events The local events (or the patterns if the transport is shared) forwarded to the peer bridges
+ * @cfg {String/String[]} [opts.allow = opts.events] The events (or the patterns) received from the peer bridges and emitted into the local group
+ * @cfg {String} [opts.id = random] The origin id of the bridge
+ * @cfg {Number} [opts.reconnectDelay = 100] The delay (in ms) before the first reconnection: it is doubled after every failed reconnection
+ * @cfg {Number} [opts.maxReconnectDelay = 30000] The max delay (in ms) before a reconnection
+ * @cfg {Number} [opts.maxFrameSize = 4194304] The max size (in bytes) of a received frame: a link that sends a greater frame is closed
+ * @constructor
+ */
+function Bridge(emitter, opts) {
+  NodeEventEmitter.call(this);
+  opts = opts || {};
+  this.emitter = emitter;
+  this.id = opts.id || crypto.randomBytes(8).toString('hex');
+  this.name = util.format('bridge %s of %s', this.id, emitter.name);
+  this.events = [].concat(opts.events || []);
+  if (this.events.length === 0) {
+    throw new Error(util.format('%s requires the events to forward', this.name));
+  }
+  this.allow = [].concat(opts.allow || this.events);
+  this.reconnectDelay = parseInt(opts.reconnectDelay || reconnectDelay, 10);
+  this.maxReconnectDelay = parseInt(opts.maxReconnectDelay || maxReconnectDelay, 10);
+  this.maxFrameSize = parseInt(opts.maxFrameSize || maxFrameSize, 10);
+  if (!(this.reconnectDelay > 0 && this.maxReconnectDelay >= this.reconnectDelay && this.maxFrameSize > 0)) {
+    throw new Error(util.format('%s must have positive reconnect delay and max frame size and max reconnect delay not less than the reconnect delay', this.name));
+  }
+  this.links = [];
+  this.servers = [];
+  this.timers = [];
+  this.seq = 0;
+  this.seen = {};
+  this.seenPruned = Date.now();
+  this.listener = forward.bind(this);
+  this.events.forEach(function (event) {
+    emitter.on(event, this.listener);
+  }.bind(this));
+}
+
+util.inherits(Bridge, NodeEventEmitter);
+
+/**
+ * Add a link to a peer bridge: a TCP socket or any duplex stream (e.g. a WebSocket stream)
+ * @param {stream.Duplex} stream The stream of the link
+ * @return {Object} The link
+ */
+Bridge.prototype.attach = function attach(stream) {
+  var link = {
+    stream: stream
+  };
+  var buffer = '';
+  this.links.push(link);
+  stream.setEncoding('utf8');
+  stream.on('data', function (data) {
+    var lines = (buffer + data).split('\n');
+    buffer = lines.pop();
+    // the complete frames and the partial frame are checked before parsing them
+    if (lines.concat(buffer).some(function (line) {
+      return Buffer.byteLength(line) > this.maxFrameSize;
+    }.bind(this))) {
+      fail.call(this, new Error(util.format('%s has received a frame greater than %d bytes', this.name, this.maxFrameSize)));
+      stream.destroy();
+      return;
+    }
+    lines.forEach(function (line) {
+      if (line !== '') {
+        handleFrame.call(this, link, line);
+      }
+    }.bind(this));
+  }.bind(this));
+  stream.on('error', function (err) {
+    fail.call(this, new Error(util.format('%s has a link error: %s', this.name, err.message)));
+  }.bind(this));
+  stream.on('close', function () {
+    var index = this.links.indexOf(link);
+    if (index !== -1) {
+      this.links.splice(index, 1);
+    }
+    if (link.peer !== undefined) {
+      debug('%s unlinked from the bridge %s', this.name, link.peer);
+      this.emit('unlink', link.peer);
+    }
+  }.bind(this));
+  stream.write(JSON.stringify({ type: 'hello', id: this.id }) + '\n');
+  return link;
+};
+
+/**
+ * Accept the links of the peer bridges
+ * @param {Number} port The TCP port
+ * @param {String} [host] The address of the server
+ * @return {Promise} Resolved with the address of the server when it is listening
+ */
+Bridge.prototype.listen = function listen(port, host) {
+  var server = net.createServer(this.attach.bind(this));
+  this.servers.push(server);
+  return new Promise(function (resolve, reject) {
+    server.once('error', reject);
+    server.listen(port, host, function () {
+      server.removeListener('error', reject);
+      server.on('error', fail.bind(this));
+      resolve(server.address());
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Link a peer bridge: the bridge reconnects when the link is closed (with a backoff delay if the connection fails)
+ * @param {Number} port The TCP port of the peer bridge
+ * @param {String} [host = 'localhost'] The host of the peer bridge
+ * @return {Bridge}
+ * @chainable
+ */
+Bridge.prototype.connect = function connect(port, host) {
+  var attempts = 0;
+  var dial = function () {
+    if (this.closed) {
+      return;
+    }
+    var socket = net.connect(port, host);
+    socket.once('connect', function () {
+      attempts = 0;
+    });
+    socket.once('close', function () {
+      if (this.closed) {
+        return;
+      }
+      var delay = Math.min(this.reconnectDelay * Math.pow(2, attempts), this.maxReconnectDelay);
+      attempts++;
+      debug('%s reconnect to %s:%d in %d ms', this.name, host || 'localhost', port, delay);
+      var timer = setTimeout(function () {
+        this.timers.splice(this.timers.indexOf(timer), 1);
+        dial();
+      }.bind(this), delay);
+      this.timers.push(timer);
+    }.bind(this));
+    this.attach(socket);
+  }.bind(this);
+  dial();
+  return this;
+};
+
+/**
+ * Close the bridge: the local events are not forwarded anymore and the links and the servers are closed
+ * @return {Promise} Resolved when the servers are closed
+ */
+Bridge.prototype.close = function close() {
+  this.closed = true;
+  this.events.forEach(function (event) {
+    this.emitter.off(event, this.listener);
+  }.bind(this));
+  this.timers.forEach(clearTimeout);
+  this.timers = [];
+  this.links.forEach(function (link) {
+    link.stream.destroy();
+  });
+  return Promise.all(this.servers.map(function (server) {
+    return new Promise(function (resolve) {
+      server.close(function () {
+        resolve();
+      });
+    });
+  }));
+};
+
+exports.Bridge = Bridge;
@@ -0,0 +1,221 @@
+/**
+ * The codecs used to encode the arguments of an event into a message. Every codec has an `id` (carried by every
+ * message to refuse the messages encoded with a different codec) and the `encode` and `decode` functions:
+ *
+ *  - `amp`: the [AMP][1] message used by default (strings, buffers and JSON values);
+ *  - `json`: a JSON message where dates, maps, sets, buffers and typed arrays are tagged to be restored;
+ *  - `msgpack`: a [MessagePack][2] message where dates use the timestamp extension, maps and sets use
+ *    the extension types 1 and 2.
+ *
+ * [1]: https://www.npmjs.org/package/amp
+ * [2]: https://msgpack.org
+ *
+ * @class node_modules.multicast_events.codecs
+ * @author Marcello Gesmundo
+ */
+
+var util = require('util');
+var Message = require('amp-message');
+var msgpack = require('@msgpack/msgpack');
+
+var customMin = 128;
+var customMax = 255;
+
+/**
+ * Tag the values that JSON can't represent
+ * @param {Mixed} value The value
+ * @return {Mixed} The tagged value
+ */
+function tag(value) {
+  if (value instanceof Date) {
+    return { $type: 'Date', value: value.getTime() };
+  }
+  if (Buffer.isBuffer(value)) {
+    return { $type: 'Buffer', value: value.toString('base64') };
+  }
+  if (ArrayBuffer.isView(value) && !(value instanceof DataView)) {
+    return { $type: value.constructor.name, value: Array.prototype.slice.call(value) };
+  }
+  if (value instanceof Map) {
+    var entries = [];
+    value.forEach(function (item, key) {
+      entries.push([tag(key), tag(item)]);
+    });
+    return { $type: 'Map', value: entries };
+  }
+  if (value instanceof Set) {
+    var items = [];
+    value.forEach(function (item) {
+      items.push(tag(item));
+    });
+    return { $type: 'Set', value: items };
+  }
+  if (Array.isArray(value)) {
+    return value.map(tag);
+  }
+  if (value !== null && typeof value === 'object') {
+    var tagged = {};
+    Object.keys(value).forEach(function (key) {
+      tagged[key] = tag(value[key]);
+    });
+    return tagged;
+  }
+  return value;
+}
+
+/**
+ * Restore the values tagged by tag
+ * @param {Mixed} value The tagged value
+ * @return {Mixed} The value
+ */
+function untag(value) {
+  if (Array.isArray(value)) {
+    return value.map(untag);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  switch (value.$type) {
+    case 'Date':
+      return new Date(value.value);
+    case 'Buffer':
+      return Buffer.from(value.value, 'base64');
+    case 'Map':
+      return new Map(value.value.map(function (entry) {
+        return [untag(entry[0]), untag(entry[1])];
+      }));
+    case 'Set':
+      return new Set(value.value.map(untag));
+    case undefined:
+      var untagged = {};
+      Object.keys(value).forEach(function (key) {
+        untagged[key] = untag(value[key]);
+      });
+      return untagged;
+    default:
+      // typed arrays
+      if (/^(Ui|I)nt(8|16|32)(Clamped)?Array$|^Float(32|64)Array$/.test(value.$type)) {
+        return new global[value.$type](value.value);
+      }
+      return value;
+  }
+}
+
+/**
+ * Convert the binary values decoded by MessagePack into buffers
+ * @param {Mixed} value The decoded value
+ * @return {Mixed} The value
+ * @ignore
+ */
+function toBuffers(value) {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toBuffers);
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date) &&
+      !(value instanceof Map) && !(value instanceof Set)) {
+    Object.keys(value).forEach(function (key) {
+      value[key] = toBuffers(value[key]);
+    });
+  }
+  return value;
+}
+
+var extensionCodec = new msgpack.ExtensionCodec();
+extensionCodec.register({
+  type: 1,
+  encode: function (value) {
+    if (value instanceof Map) {
+      var entries = [];
+      value.forEach(function (item, key) {
+        entries.push([key, item]);
+      });
+      return msgpack.encode(entries, { extensionCodec: extensionCodec });
+    }
+    return null;
+  },
+  decode: function (data) {
+    return new Map(toBuffers(msgpack.decode(data, { extensionCodec: extensionCodec })));
+  }
+});
+extensionCodec.register({
+  type: 2,
+  encode: function (value) {
+    if (value instanceof Set) {
+      var items = [];
+      value.forEach(function (item) {
+        items.push(item);
+      });
+      return msgpack.encode(items, { extensionCodec: extensionCodec });
+    }
+    return null;
+  },
+  decode: function (data) {
+    return new Set(toBuffers(msgpack.decode(data, { extensionCodec: extensionCodec })));
+  }
+});
+
+var codecs = {
+  amp: {
+    id: 0,
+    name: 'amp',
+    encode: function (args) {
+      var msg = new Message(args);
+      return msg.toBuffer();
+    },
+    decode: function (buf) {
+      var msg = new Message(buf);
+      return msg.args;
+    }
+  },
+  json: {
+    id: 1,
+    name: 'json',
+    encode: function (args) {
+      return Buffer.from(JSON.stringify(tag(args)));
+    },
+    decode: function (buf) {
+      return untag(JSON.parse(buf.toString()));
+    }
+  },
+  msgpack: {
+    id: 2,
+    name: 'msgpack',
+    encode: function (args) {
+      var encoded = msgpack.encode(args, { extensionCodec: extensionCodec });
+      return Buffer.from(encoded.buffer, encoded.byteOffset, encoded.byteLength);
+    },
+    decode: function (buf) {
+      return toBuffers(msgpack.decode(buf, { extensionCodec: extensionCodec }));
+    }
+  }
+};
+
+/**
+ * Get the codec by name or validate a custom codec. A custom codec must have an `id` from 128 to 255 and the
+ * `encode` (from an Array of arguments to a Buffer) and `decode` (from a Buffer to an Array of arguments) functions.
+ * @param {String/Object} codec The name of a built-in codec or a custom codec
+ * @return {Object} The codec or undefined if the codec is not valid
+ */
+function resolve(codec) {
+  if (typeof codec === 'string') {
+    return codecs.hasOwnProperty(codec) ? codecs[codec] : undefined;
+  }
+  if (codec && typeof codec.encode === 'function' && typeof codec.decode === 'function' &&
+      codec.id >= customMin && codec.id <= customMax) {
+    return {
+      id: codec.id,
+      name: codec.name || util.format('custom #%d', codec.id),
+      encode: codec.encode,
+      decode: codec.decode
+    };
+  }
+  return undefined;
+}
+
+exports.codecs = codecs;
+exports.resolve = resolve;
+exports.tag = tag;
+exports.untag = untag;
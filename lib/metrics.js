@@ -0,0 +1,205 @@
+/**
+ * The counters of an emitter. Every counter is kept for the whole emitter (`total`) and for every event
+ * (`events`), the errors are counted by type:
+ *
+ *  - `sent`, `sentBytes`: the messages sent (events, requests, replies, nacks and announcements) and their bytes;
+ *  - `received`, `receivedBytes`: the datagrams received and their bytes (for every event the authenticated messages
+ *    of the events handled by the emitter and their bytes);
+ *  - `decryptFailures`: the messages not decrypted (e.g. unknown key, tampered, stale or replayed);
+ *  - `decodeFailures`: the messages that the codec can't decode;
+ *  - `foreignDrops`: the messages of the same process dropped because of the `foreignOnly` option;
+ *  - `duplicateDrops`: the duplicated datagrams received by more interfaces;
+ *  - `sourceDrops`: the datagrams of a source not allowed (see the `allowSources` and `denySources` options);
+ *  - `handlerErrors`: the listeners that threw;
+ *  - `handled`, `handlerTime`: the listener calls and their duration (in seconds).
+ *
+ * The stats can be rendered in the [Prometheus][1] exposition format.
+ *
+ * [1]: https://prometheus.io/docs/instrumenting/exposition_formats/
+ *
+ * @class node_modules.multicast_events.metrics
+ * @author Marcello Gesmundo
+ */
+
+var util = require('util');
+
+// the max number of events with their own counters: the counters of the other events are only in the total
+var maxEvents = 1000;
+var counters = ['sent', 'sentBytes', 'received', 'receivedBytes', 'decryptFailures', 'decodeFailures',
+  'foreignDrops', 'duplicateDrops', 'sourceDrops', 'handlerErrors', 'handled', 'handlerTime'];
+// the Prometheus metrics of the counters: name, help and type
+var exposition = {
+  sent: ['multicast_events_sent_total', 'The messages sent', 'counter'],
+  sentBytes: ['multicast_events_sent_bytes_total', 'The bytes of the messages sent', 'counter'],
+  received: ['multicast_events_received_total', 'The datagrams received', 'counter'],
+  receivedBytes: ['multicast_events_received_bytes_total', 'The bytes of the datagrams received', 'counter'],
+  decryptFailures: ['multicast_events_decrypt_failures_total', 'The messages not decrypted', 'counter'],
+  decodeFailures: ['multicast_events_decode_failures_total', 'The messages not decoded', 'counter'],
+  foreignDrops: ['multicast_events_foreign_drops_total', 'The messages of the same process dropped', 'counter'],
+  duplicateDrops: ['multicast_events_duplicate_drops_total', 'The duplicated datagrams dropped', 'counter'],
+  sourceDrops: ['multicast_events_source_drops_total', 'The datagrams of the sources not allowed', 'counter'],
+  handlerErrors: ['multicast_events_handler_errors_total', 'The listeners that threw', 'counter']
+};
+
+/**
+ * Create the counters with zero values
+ * @return {Object} The counters
+ * @ignore
+ */
+function zero() {
+  var values = {};
+  counters.forEach(function (counter) {
+    values[counter] = 0;
+  });
+  return values;
+}
+
+/**
+ * Create the metrics of an emitter
+ * @return {Object} The metrics
+ */
+function create() {
+  return {
+    total: zero(),
+    events: {},
+    errors: {}
+  };
+}
+
+/**
+ * Increment a counter of the emitter and of the event
+ * @param {Object} metrics The metrics of the emitter
+ * @param {String} event The event or undefined if the counter is not related to an event
+ * @param {String} counter The counter
+ * @param {Number} [value = 1] The increment
+ */
+function record(metrics, event, counter, value) {
+  value = value === undefined ? 1 : value;
+  metrics.total[counter] += value;
+  recordEvent(metrics, event, counter, value);
+}
+
+/**
+ * Increment a counter of the event only (the total is not incremented)
+ * @param {Object} metrics The metrics of the emitter
+ * @param {String} event The event or undefined if the counter is not related to an event
+ * @param {String} counter The counter
+ * @param {Number} [value = 1] The increment
+ */
+function recordEvent(metrics, event, counter, value) {
+  value = value === undefined ? 1 : value;
+  if (event === undefined) {
+    return;
+  }
+  if (!metrics.events.hasOwnProperty(event)) {
+    if (Object.keys(metrics.events).length >= maxEvents) {
+      return;
+    }
+    metrics.events[event] = zero();
+  }
+  metrics.events[event][counter] += value;
+}
+
+/**
+ * Increment the errors of a type
+ * @param {Object} metrics The metrics of the emitter
+ * @param {String} type The type of the error
+ */
+function recordError(metrics, type) {
+  metrics.errors[type] = (metrics.errors[type] || 0) + 1;
+}
+
+/**
+ * Copy the metrics
+ * @param {Object} metrics The metrics of the emitter
+ * @return {Object} The copy
+ */
+function snapshot(metrics) {
+  function copy(values) {
+    var result = {};
+    Object.keys(values).forEach(function (key) {
+      result[key] = values[key];
+    });
+    return result;
+  }
+  var events = {};
+  Object.keys(metrics.events).forEach(function (event) {
+    events[event] = copy(metrics.events[event]);
+  });
+  return {
+    total: copy(metrics.total),
+    events: events,
+    errors: copy(metrics.errors)
+  };
+}
+
+/**
+ * Escape the value of a label
+ * @param {String} value The value
+ * @return {String} The escaped value
+ * @ignore
+ */
+function escape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render the labels of a sample
+ * @param {Object} values The labels
+ * @return {String} The rendered labels
+ * @ignore
+ */
+function labels(values) {
+  return '{' + Object.keys(values).map(function (label) {
+    return util.format('%s="%s"', label, escape(values[label]));
+  }).join(',') + '}';
+}
+
+/**
+ * Render the stats of one or more emitters in the Prometheus text exposition format. Every sample has
+ * the `emitter` label (the name of the emitter) and the `event` label, the errors have the `type` label.
+ * @param {Object/Object[]} stats The stats of the emitters (see EventEmitter.stats)
+ * @return {String} The exposition text
+ */
+function prometheus(stats) {
+  stats = Array.isArray(stats) ? stats : [stats];
+  var lines = [];
+  function family(name, help, type, samples) {
+    lines.push(util.format('# HELP %s %s', name, help));
+    lines.push(util.format('# TYPE %s %s', name, type));
+    lines.push.apply(lines, samples);
+  }
+  // the total of the emitter (only the emitter label) and the counter of every event
+  function perEvent(name, counter) {
+    var samples = [];
+    stats.forEach(function (stat) {
+      samples.push(name + labels({ emitter: stat.name }) + ' ' + stat.total[counter]);
+      Object.keys(stat.events).forEach(function (event) {
+        samples.push(name + labels({ emitter: stat.name, event: event }) + ' ' + stat.events[event][counter]);
+      });
+    });
+    return samples;
+  }
+  Object.keys(exposition).forEach(function (counter) {
+    var metric = exposition[counter];
+    family(metric[0], metric[1], metric[2], perEvent(metric[0], counter));
+  });
+  var duration = 'multicast_events_handler_duration_seconds';
+  family(duration, 'The duration of the listener calls', 'summary',
+    perEvent(duration + '_sum', 'handlerTime').concat(perEvent(duration + '_count', 'handled')));
+  var errors = [];
+  stats.forEach(function (stat) {
+    Object.keys(stat.errors).forEach(function (type) {
+      errors.push('multicast_events_errors_total' + labels({ emitter: stat.name, type: type }) + ' ' + stat.errors[type]);
+    });
+  });
+  family('multicast_events_errors_total', 'The reported errors', 'counter', errors);
+  return lines.join('\n') + '\n';
+}
+
+exports.create = create;
+exports.record = record;
+exports.recordEvent = recordEvent;
+exports.recordError = recordError;
+exports.snapshot = snapshot;
+exports.prometheus = prometheus;
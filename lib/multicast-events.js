@@ -1,6 +1,6 @@
 /**
  * If you need to emit an event from a machine listening it on another machine (or a different process),
- * you can simply use this module to do it. It uses a multicast msgpack message: when a node application
+ * you can simply use this module to do it. It uses a multicast AMP message (or another codec): when a node application
  * add a listener for an event, it joins into a multicast group. Using this technique the message is handled
  * only by the listener into the same multicast group (and listening on the same UDP port) and is not necessary
  * to drop unwanted messages inside the application` . All events are (optionally) encrypted.
@@ -41,24 +41,19 @@
  *
  */
 
-var dgram = require('dgram');
 var debug = require('debug')('events');
 var os = require('os');
+var net = require('net');
 var crypto = require('crypto');
 var util = require('util');
-var tools = require('buffertools');
-var Message = require('amp-message');
-
-var msgpack = {
-  pack: function(args){
-    var msg = new Message(args);
-    return msg.toBuffer();
-  },
-  unpack: function(buf){
-    var msg = new Message(buf);
-    return msg.args;
-  }
-};
+var zlib = require('zlib');
+var NodeEventEmitter = require('events').EventEmitter;
+var codecs = require('./codecs');
+var metrics = require('./metrics');
+var transports = require('./transports');
+var recording = require('./recording');
+var bridge = require('./bridge');
+var pkg = require('../package.json');
 
 var ttl = 64;
 var ttlMin = 1;
@@ -66,14 +61,91 @@ var ttlMax = 255;
 var octet = 239;
 var octetMin = 224;
 var octetMax = 239;
+var scope = 5;          // site-local
+var scopeMin = 1;
+var scopeMax = 14;
 var port = 1967;
 var portMin = 1024;     // min std free udp port
 var portMax = 16384;    // max port to obtain 49151 as max udp port because 49152 is the first ephemeral udp port
 var group = 'events';
 var id = 'default';
+var ivLength = 12;
+var tagLength = 16;
+var replayWindow = 30000;
+var defaultKey = 'default';
+var requestTimeout = 1000;
+var retransmitBuffer = 256;
+var nackInterval = 100;
+var nackRetries = 3;
+var streamTimeout = 60000;
+var datagramSize = 1200;
+var maxMessageSize = 1048576;
+var maxPartialSize = 16777216;
+var fragmentTimeout = 5000;
+var iterateBuffer = 100;
+var interfaceScan = 5000;
+var dedupWindow = 2000;
+var presenceInterval = 1000;
+// the reserved event of the presence announcements
+var presenceEvent = '$presence';
+var overflowPolicies = ['drop-oldest', 'drop-newest', 'error'];
+// wire header: magic (2) | version (1) | type (1) | flags (1) | codec (1) | sender instance (16) | sender emitter (4) |
+// message id (4) | timestamp (8) | event length (1) | event [| sequence (4) if reliable]
+// [| fragment index (2) | fragment count (2) if fragmented]
+var magic = 0x4d45;     // ascii value of ME
+var version = 1;
+var headerLength = 39;  // without the event
+var instanceLength = 16;
+var reliableLength = 4;
+var fragmentLength = 4;
+var types = {
+  event: 0,
+  request: 1,
+  reply: 2,
+  nack: 3,
+  presence: 4
+};
+var flags = {
+  encrypted: 0x01,
+  compressed: 0x02,
+  fragmented: 0x04,
+  signed: 0x08,
+  reliable: 0x10
+};
+// events handled only by the local emitter
+var localEvents = ['gap', 'incomplete', 'error', 'newListener', 'removeListener', 'peer-join', 'peer-leave'];
+// the classification of the reported errors
+var errorTypes = {
+  decode: 'decode',
+  decrypt: 'decrypt',
+  replay: 'replay',
+  signature: 'signature',
+  encode: 'encode',
+  handler: 'handler',
+  socket: 'socket',
+  bind: 'bind',
+  validation: 'validation'
+};
+// supported compressions: the id is the first byte of a compressed message
+var compressions = {
+  deflate: { id: 0, compress: zlib.deflateSync, decompress: zlib.inflateSync },
+  gzip: { id: 1, compress: zlib.gzipSync, decompress: zlib.gunzipSync },
+  brotli: { id: 2, compress: zlib.brotliCompressSync, decompress: zlib.brotliDecompressSync }
+};
+var compressThreshold = 1024;
+// supported authenticated ciphers with their key length
+var ciphers = {
+  'aes-128-gcm': 16,
+  'aes-192-gcm': 24,
+  'aes-256-gcm': 32
+};
 
 // http://stackoverflow.com/questions/13145397/regex-for-multicast-ip-address
 function isMulticastAddress(ip) {
+  if (net.isIPv6(ip)) {
+    // ff00::/8
+    return /^ff[0-9a-f]{2}:/i.test(ip);
+  }
   var re = /2(?:2[4-9]|3\d)(?:\.(?:25[0-5]|2[0-4]\d|1\d\d|[1-9]\d?|0)){3}/g;
   return re.test(ip);
 }
@@ -84,328 +156,2288 @@ function md5(value) {
   return hash.digest('binary');
 }
 
+// the sender instance of this process: host hash (4) | pid (4) | random (8)
+var instance = Buffer.alloc(instanceLength);
+crypto.createHash('md5').update(os.hostname()).digest().copy(instance, 0, 0, 4);
+instance.writeUInt32BE(process.pid, 4);
+crypto.randomBytes(8).copy(instance, 8);
+instance = instance.toString('hex');
+
 /**
- * Encrypt a message
- * @param {Buffer} message The message to encrypt
- * @return {Buffer} The encrypted message
+ * Derive the encryption key from the shared secret
+ * @param {String} secret The shared secret password
+ * @param {String} salt The salt used by the key derivation function
+ * @param {Number} length The key length in bytes required by the cipher
+ * @return {Buffer} The derived key
  * @ignore
  */
-function encrypt(message) {
-  if (this.secure && this.cipher && this.secret) {
-    if (this.secret === 'secret') {
-      console.warn('PLEASE change default secret password!');
-    }
-    debug('%s encrypt message with %s', this.name, this.cipher);
-    var cipher = crypto.createCipher(this.cipher, this.secret);
-    return Buffer.concat([cipher.update(message), cipher.final()]);
-  }
-  return message;
+function deriveKey(secret, salt, length) {
+  return crypto.scryptSync(secret, 'multicast-events::' + salt, length);
 }
 
 /**
- * Decrypt a message
- * @param {Buffer} message The encrypted message
- * @return {Buffer} The decrypted buffer
+ * Report an error that can't be thrown because it occurs inside a socket callback: the error is classified,
+ * emitted as local 'error' event and passed to the onError function
+ * @param {String} type The type of the error (see errorTypes)
+ * @param {Error} err The error
+ * @param {Error} [cause] The original error
  * @ignore
  */
-function decrypt(message) {
-  if (this.secure && this.cipher && this.secret) {
-    if (this.secret === 'secret') {
-      console.warn('PLEASE change default secret password!');
-    }
-    debug('%s decrypt message with %s', this.name, this.cipher);
-    var decipher = crypto.createDecipher(this.cipher, this.secret);
-    return Buffer.concat([decipher.update(message), decipher.final()]);
+function report(type, err, cause) {
+  err.type = type;
+  if (cause) {
+    err.cause = cause;
+  }
+  debug('%s %s error: %s', this.name, type, err.message);
+  metrics.recordError(this.metrics, type);
+  emitLocal.call(this, 'error', err);
+  if (typeof this.onError === 'function') {
+    this.onError(err);
   }
-  return message;
 }
 
-function handleEvent(event, msg, rinfo) {
-  var data =  msgpack.unpack(msg);
-  var msgEvent = data.shift();
-  if (event !== msgEvent) {
-    throw new Error(util.format('%s has received "%s" but "%s" was expected', this.name, msgEvent, event));
+/**
+ * Verify that a decrypted message is not stale or replayed
+ * @param {Number} timestamp The time when the message was sent
+ * @param {String} nonce The unique nonce of the message
+ * @return {Boolean} True if the message is fresh
+ * @ignore
+ */
+function isFresh(timestamp, nonce) {
+  var now = Date.now();
+  if (isNaN(timestamp) || Math.abs(now - timestamp) > this.replayWindow) {
+    return false;
   }
-  this.listeners[event].handlers.forEach(function(handler) {
-    debug('%s handle "%s" from "%s:%d" with arguments %o', this.name, event, rinfo.address, rinfo.port, data);
-    data.push(rinfo);
-    handler.apply(undefined, data);
-  }.bind(this));
+  if (this.nonces.hasOwnProperty(nonce)) {
+    return false;
+  }
+  // forget the nonces outside the window: their messages are refused as stale
+  if (now - this.noncesPruned > this.replayWindow) {
+    Object.keys(this.nonces).forEach(function (seen) {
+      if (now - this.nonces[seen] > this.replayWindow) {
+        delete this.nonces[seen];
+      }
+    }.bind(this));
+    this.noncesPruned = now;
+  }
+  this.nonces[nonce] = timestamp;
+  return true;
 }
 
-function generatePort(event) {
-  // to avoid conflict with other applications with same event name
-  var hash = md5(this.id + '::' + this.group + '::' + event);
-  return this.port + hash.charCodeAt(hash.length - 1) + 256 * (hash.charCodeAt(hash.length - 2) % 128);
+/**
+ * Create the wire header of a new message
+ * @param {Number} type The type of the message
+ * @param {Number} messageFlags The flags of the message
+ * @param {String} event The event
+ * @param {Number} [sequence] The sequence number of the event if the message is reliable
+ * @return {Buffer} The header
+ * @ignore
+ */
+function createHeader(type, messageFlags, event, sequence) {
+  var name = Buffer.from(event);
+  var reliable = sequence !== undefined;
+  var header = Buffer.alloc(headerLength + name.length + (reliable ? reliableLength : 0));
+  header.writeUInt16BE(magic, 0);
+  header.writeUInt8(version, 2);
+  header.writeUInt8(type, 3);
+  header.writeUInt8(messageFlags | (reliable ? flags.reliable : 0), 4);
+  header.writeUInt8(this.codec.id, 5);
+  header.write(instance, 6, instanceLength, 'hex');
+  header.writeUInt32BE(this.index, 22);
+  header.writeUInt32BE(this.messageId, 26);
+  header.writeDoubleBE(Date.now(), 30);
+  header.writeUInt8(name.length, 38);
+  name.copy(header, headerLength);
+  if (reliable) {
+    header.writeUInt32BE(sequence, headerLength + name.length);
+  }
+  this.messageId = (this.messageId + 1) % 0x100000000;
+  return header;
 }
 
 /**
- * Verify that a provided address is configured on a NIC
- *
- * @param {String} address The address to verify
- * @return {Boolean} True if the address is configured on a NIC
+ * Parse the wire header of a received message. Messages without a valid header are reported and dropped.
+ * @param {Buffer} message The received message
+ * @param {Object} rinfo The sender info
+ * @return {Object} The header fields (the `raw` header included) or undefined if the message must be dropped
+ * @ignore
  */
-function verifyAddress(address) {
-  var ifs = os.networkInterfaces();
-  var nics = Object.keys(ifs);
-  var i, j, match = false;
-  nicLoop:
-    for (i = 0; i < nics.length; i++) {
-      var nic = ifs[nics[i]];
-      for (j = 0; j < nic.length; j++) {
-        if (nic[j].address === address && !nic[j].internal) {
-          match = true;
-          break nicLoop;
-        }
-      }
-    }
-  return match;
+function parseHeader(message, rinfo) {
+  var valid = message.length >= headerLength && message.readUInt16BE(0) === magic;
+  if (valid && message.readUInt8(2) !== version) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received a message from %s:%d with the unsupported protocol version %d', this.name, rinfo.address, rinfo.port, message.readUInt8(2))));
+    return undefined;
+  }
+  var eventLength = valid ? headerLength + message.readUInt8(38) : 0;
+  var reliable = valid && !!(message.readUInt8(4) & flags.reliable);
+  var fragmented = valid && !!(message.readUInt8(4) & flags.fragmented);
+  var reliableEnd = eventLength + (reliable ? reliableLength : 0);
+  var length = reliableEnd + (fragmented ? fragmentLength : 0);
+  if (!valid || message.length < length) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received an unknown message from %s:%d', this.name, rinfo.address, rinfo.port)));
+    return undefined;
+  }
+  return {
+    raw: message.slice(0, length),
+    type: message.readUInt8(3),
+    flags: message.readUInt8(4),
+    codec: message.readUInt8(5),
+    instance: message.toString('hex', 6, 6 + instanceLength),
+    emitter: message.readUInt32BE(22),
+    messageId: message.readUInt32BE(26),
+    timestamp: message.readDoubleBE(30),
+    event: message.toString('utf8', headerLength, eventLength),
+    sequence: reliable ? message.readUInt32BE(eventLength) : undefined,
+    fragment: fragmented ? message.readUInt16BE(reliableEnd) : undefined,
+    fragments: fragmented ? message.readUInt16BE(reliableEnd + 2) : undefined
+  };
 }
 
-var emitterCounter = 0;
-
 /**
- * EventEmitter class
- *
- * @class node_modules.multicast_events.EventEmitter
- * @cfg {Object} opts Options
- * @cfg {String} [opts.name = 'emitter #n'] The name assigned to the instance for debug purpose
- * @cfg {String} [opts.id = 'default'] The identifier of the application
- * @cfg {Boolean} [opts.secure = false] Set `true` to enable the messages encryption
- * @cfg {String} [opts.cipher = 'aes256'] The cipher used to encrypt/decrypt the messages
- * @cfg {String} [opts.secret = 'secret'] The shared secret password use to encrypt all messages
- * @cfg {Number} [opts.ttl = 64] The number of IP hops that a packet is allowed to go through
- * @cfg {String} opts.interface If not specified, every listener will add membership to all valid interfaces. The interface must be a valid multicast address (from 224.0.0.1 to 239.255.255.254)
- * @cfg {Boolean} [opts.loopback = true] When this option is true, multicast packets will also be received on the local interface
- * @cfg {Boolean} [opts.foreignOnly = false] This option only makes sense when loopback is true. In this case, if foreignOnly is true, the events are handled ONLY by a process other than the one that issued the event.
- * @cfg {Number} [opts.octet = 239] The first octet used for the generated multicast address
- * @cfg {Number} [opts.port = 1967] The port used as base for the generated port used for every event message
- * @cfg {String} [opts.group = 'events'] All events can be grouped into the same multicast domain generated using this option. It can be a string or a valid multicast address.
- * @cfg {Object} opts.events All event correspond to an UDP port; if this port is not free, you can override it using this option: { eventName: portNumber }
- * @constructor
+ * Split a message in fragments if it is greater than the datagram size. Every fragment has the header
+ * of the message with the fragmented flag and the fragment index and count.
+ * @param {Buffer} header The header of the message
+ * @param {Buffer} body The body of the message
+ * @return {Array} The datagrams to send or undefined if the message needs more than 65535 fragments
+ * @ignore
  */
-function EventEmitter(opts) {
-  opts = opts || {};
-  this.name = opts.name || 'emitter #' + emitterCounter;  // for debug purpose
-  emitterCounter++;
-  this.id = opts.id || id;
-  this.secure = !!opts.secure;
-  this.cipher = opts.cipher || 'aes256';
-  this.secret = opts.secret || 'secret';
-  this.ttl = parseInt(opts.ttl || ttl, 10);
-  // validate ttl
-  if (this.ttl < ttlMin || this.ttl > ttlMax || isNaN(this.ttl)) {
-    throw new Error(util.format('%s must have %d < ttl < %d', this.name, ttlMin, ttlMax));
+function fragment(header, body) {
+  if (header.length + body.length <= this.datagramSize) {
+    return [Buffer.concat([header, body])];
   }
-  this.interface = opts.interface;
-  // validate multicast interface
-  if (this.interface) {
-    if (!verifyAddress(this.interface)) {
-      throw new Error(util.format('%s does not have %s as a valid multicast interface', this.name, this.interface));
-    }
+  var chunkSize = this.datagramSize - header.length - fragmentLength;
+  var count = Math.ceil(body.length / chunkSize);
+  var datagrams = [];
+  var i;
+  if (count > 0xffff) {
+    return undefined;
   }
-  if (opts.loopback === undefined || this.loopback === null) {
-    this.loopback = true;
-  } else {
-    // ensure it is boolean
-    this.loopback = !!(opts.loopback);
+  for (i = 0; i < count; i++) {
+    var fragmentHeader = Buffer.alloc(header.length + fragmentLength);
+    header.copy(fragmentHeader);
+    fragmentHeader.writeUInt8(header.readUInt8(4) | flags.fragmented, 4);
+    fragmentHeader.writeUInt16BE(i, header.length);
+    fragmentHeader.writeUInt16BE(count, header.length + 2);
+    datagrams.push(Buffer.concat([fragmentHeader, body.slice(i * chunkSize, (i + 1) * chunkSize)]));
   }
-  if (opts.foreignOnly === undefined || this.foreignOnly === null) {
-    this.foreignOnly = false;
+  return datagrams;
+}
+
+/**
+ * Drop a partial message and emit the `incomplete` event. A dropped message is kept (without fragments)
+ * until the timeout to ignore its next fragments.
+ * @param {String} key The key of the partial message
+ * @param {String} reason The reason
+ * @ignore
+ */
+function dropPartial(key, reason) {
+  var partial = this.partials[key];
+  if (partial.dropped) {
+    delete this.partials[key];
+    return;
+  }
+  this.partialSize -= partial.size;
+  debug('%s has dropped the incomplete message "%s" from %s:%d: %s', this.name, partial.event, partial.address, partial.port, reason);
+  emitLocal.call(this, 'incomplete', {
+    event: partial.event,
+    address: partial.address,
+    port: partial.port,
+    received: partial.received,
+    fragments: partial.chunks.length,
+    reason: reason
+  });
+  if (reason === 'timeout') {
+    delete this.partials[key];
   } else {
-    // ensure it is boolean
-    this.foreignOnly = !!(opts.foreignOnly);
+    // ignore the next fragments of the message until the timeout
+    partial.dropped = true;
+    partial.chunks = [];
+    partial.size = 0;
   }
-  if (!this.loopback && this.foreignOnly) {
-    throw new Error(util.format('%s can\'t listen foreign only events if loopback is false', this.name));
+}
+
+/**
+ * Add a fragment to its partial message. Partial messages not completed within the fragment timeout, greater
+ * than the max message size or exceeding the memory available for the partial messages are dropped.
+ * @param {Object} header The parsed header of the fragment
+ * @param {Buffer} msg The received fragment
+ * @param {Object} rinfo The sender info
+ * @return {Buffer} The reassembled message or undefined if the message is not complete
+ * @ignore
+ */
+function reassemble(header, msg, rinfo) {
+  var key = header.instance + ':' + header.emitter + ':' + header.messageId;
+  var partial = this.partials[key];
+  var chunk = msg.slice(header.raw.length);
+  // the body includes the signature and the encryption overhead
+  var limit = this.maxMessageSize + this.datagramSize;
+  if (!partial) {
+    partial = this.partials[key] = {
+      event: header.event,
+      address: rinfo.address,
+      port: rinfo.port,
+      chunks: new Array(header.fragments),
+      received: 0,
+      size: 0,
+      timer: setTimeout(function () {
+        dropPartial.call(this, key, 'timeout');
+      }.bind(this), this.fragmentTimeout)
+    };
   }
-  this.octet = opts.octet || octet;
-  if (this.octet < octetMin || this.octet > octetMax) {
-    throw new Error(util.format('%s must have %d < octet < %d as first octet for a valid multicast address', this.name, octetMin, octetMax));
+  if (partial.dropped || header.fragment >= partial.chunks.length || partial.chunks[header.fragment]) {
+    debug('%s has dropped the fragment #%d of "%s" from %s:%d', this.name, header.fragment, header.event, rinfo.address, rinfo.port);
+    return undefined;
   }
-  this.port = opts.port || port;
-  if (this.port < portMin || this.port > portMax) {
-    throw new Error(util.format('%s must have %d < port < %d', this.name, portMin, portMax));
+  if (header.fragments * chunk.length > limit + chunk.length) {
+    dropPartial.call(this, key, 'message too large');
+    return undefined;
   }
-  this.group = opts.group || group;
-  if (isMulticastAddress(this.group)) {
-    this.address = this.group;
-  } else {
-    var hash = md5(this.group);
-    this.address = [this.octet,
-                    hash.charCodeAt(0),
-                    hash.charCodeAt(1),
-                    (hash.charCodeAt(2) === 0 || hash.charCodeAt(2) === 255 ? 1 : hash.charCodeAt(2))
-                   ].join('.');
+  partial.chunks[header.fragment] = chunk;
+  partial.received++;
+  partial.size += chunk.length;
+  this.partialSize += chunk.length;
+  if (partial.size > limit) {
+    dropPartial.call(this, key, 'message too large');
+    return undefined;
   }
-  this.events = opts.events || {};
-  this.listeners = {};
-
-  this.sender = dgram.createSocket('udp4');
-  this.sender.on('error', function (err) {
-    this.sender.close();
-    var e = new Error(util.format('%s has encountered an event emitter error:\n', this.name));
-    e.stack = err.stack;
-    throw e;
-  }.bind(this));
+  // drop the oldest partial messages when the memory is exceeded
+  var keys = Object.keys(this.partials);
+  while (this.partialSize > this.maxPartialSize && keys.length > 0) {
+    var oldest = keys.shift();
+    if (!this.partials[oldest].dropped) {
+      dropPartial.call(this, oldest, 'memory exceeded');
+    }
+  }
+  if (partial.dropped || partial.received < partial.chunks.length) {
+    return undefined;
+  }
+  delete this.partials[key];
+  clearTimeout(partial.timer);
+  this.partialSize -= partial.size;
+  // rebuild the header of the message without the fragment index and count
+  var raw = Buffer.from(header.raw.slice(0, header.raw.length - fragmentLength));
+  raw.writeUInt8(header.flags & ~flags.fragmented, 4);
+  return Buffer.concat([raw].concat(partial.chunks));
+}
 
-  this.sender.bind(function() {
-    this.sender.setBroadcast(false);
-    this.sender.setMulticastTTL(this.ttl);
-    this.sender.setMulticastLoopback(this.loopback);
+/**
+ * Compress a message if it is not less than the threshold. The compressed message is `compression id | data`
+ * and it is used only if it is smaller than the message.
+ * @param {Buffer} message The message encoded by the codec
+ * @return {Buffer} The compressed message or undefined if the message is not compressed
+ * @ignore
+ */
+function compress(message) {
+  if (!this.compress || message.length < this.compressThreshold) {
+    return undefined;
+  }
+  var compression = compressions[this.compress];
+  var compressed = Buffer.concat([Buffer.from([compression.id]), compression.compress(message)]);
+  if (compressed.length >= message.length) {
+    return undefined;
+  }
+  debug('%s compress message with %s from %d to %d bytes', this.name, this.compress, message.length, compressed.length);
+  return compressed;
+}
 
-    debug('%s ready to emit event of the group %s', this.name, this.getAddress());
-  }.bind(this));
-  debug('%s new event emitter of the group %s', this.name, this.getAddress());
+/**
+ * Decompress a message using the compression selected by its id. The decompressed message can't be greater
+ * than the max message size.
+ * @param {Buffer} message The compressed message
+ * @param {Object} header The parsed header of the message
+ * @param {Object} rinfo The sender info
+ * @return {Buffer} The decompressed message or undefined if the message must be dropped
+ * @ignore
+ */
+function decompress(message, header, rinfo) {
+  var id = message.length > 0 ? message.readUInt8(0) : undefined;
+  var name = Object.keys(compressions).filter(function (compression) {
+    return compressions[compression].id === id;
+  })[0];
+  if (!name) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received a message of "%s" from %s:%d compressed with the unknown compression %s', this.name, header.event, rinfo.address, rinfo.port, id)));
+    return undefined;
+  }
+  try {
+    return compressions[name].decompress(message.slice(1), { maxOutputLength: this.maxMessageSize });
+  } catch (err) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s was unable to decompress "%s" from %s:%d: %s', this.name, header.event, rinfo.address, rinfo.port, err.message)), err);
+    return undefined;
+  }
 }
 
 /**
- * Get current assigned address
- * @return {String} The address
- * @private
+ * Encrypt a message with the active key. The encrypted message is `key id length | key id | iv | auth tag | ciphertext`
+ * and both the header and the key id are authenticated.
+ * @param {Buffer} message The message to encrypt
+ * @param {Buffer} header The header of the message
+ * @return {Buffer} The encrypted message
+ * @ignore
  */
-EventEmitter.prototype.getAddress = function getAddress() {
-  return this.address;
-};
+function encrypt(message, header) {
+  if (this.secure) {
+    debug('%s encrypt message with %s and key "%s"', this.name, this.cipher, this.activeKey);
+    var keyId = Buffer.from(this.activeKey);
+    var keyIdLength = Buffer.alloc(1);
+    keyIdLength.writeUInt8(keyId.length, 0);
+    var iv = crypto.randomBytes(ivLength);
+    var cipher = crypto.createCipheriv(this.cipher, this.keys[this.activeKey], iv);
+    cipher.setAAD(Buffer.concat([header, keyId]));
+    var encrypted = Buffer.concat([cipher.update(message), cipher.final()]);
+    return Buffer.concat([keyIdLength, keyId, iv, cipher.getAuthTag(), encrypted]);
+  }
+  return message;
+}
 
 /**
- * Get the port for the event. If the event does not have an UDP port, a new value is assigned.
- * @method getPort
- * @param {String} event The event
- * @return {Number} The UDP port
- * @private
+ * Decrypt a message with the key selected by its key id. Tampered, stale or replayed messages and messages
+ * encrypted with a key not in the keyring are reported and dropped.
+ * @param {Buffer} message The encrypted message
+ * @param {Object} header The parsed header of the message
+ * @param {Object} rinfo The sender info
+ * @return {Buffer} The decrypted buffer or undefined if the message must be dropped
+ * @ignore
  */
-// max 32767 ports generated
-EventEmitter.prototype.getPort = function getPort(event) {
-  if (!event) {
-    throw new Error(util.format('%s requires an event', this.name));
+function decrypt(message, header, rinfo) {
+  var encrypted = !!(header.flags & flags.encrypted);
+  if (this.secure !== encrypted) {
+    report.call(this, errorTypes.decrypt, new Error(util.format('%s has received %s message from %s:%d', this.name, encrypted ? 'an encrypted' : 'a not encrypted', rinfo.address, rinfo.port)));
+    return undefined;
   }
-  if (this.events.hasOwnProperty(event)) {
-    return this.events[event];
+  if (this.secure) {
+    var offset = message.length > 0 ? 1 + message.readUInt8(0) : 1;
+    if (message.length < offset + ivLength + tagLength) {
+      report.call(this, errorTypes.decrypt, new Error(util.format('%s has received a truncated message from %s:%d', this.name, rinfo.address, rinfo.port)));
+      return undefined;
+    }
+    var keyId = message.slice(1, offset);
+    var key = keyId.toString();
+    if (!this.keys.hasOwnProperty(key)) {
+      report.call(this, errorTypes.decrypt, new Error(util.format('%s has received a message from %s:%d encrypted with the unknown key "%s"', this.name, rinfo.address, rinfo.port, key)));
+      return undefined;
+    }
+    debug('%s decrypt message with %s and key "%s"', this.name, this.cipher, key);
+    var decipher = crypto.createDecipheriv(this.cipher, this.keys[key], message.slice(offset, offset + ivLength));
+    decipher.setAAD(Buffer.concat([header.raw, keyId]));
+    decipher.setAuthTag(message.slice(offset + ivLength, offset + ivLength + tagLength));
+    var decrypted;
+    try {
+      decrypted = Buffer.concat([decipher.update(message.slice(offset + ivLength + tagLength)), decipher.final()]);
+    } catch (err) {
+      report.call(this, errorTypes.decrypt, new Error(util.format('%s was unable to authenticate the message from %s:%d', this.name, rinfo.address, rinfo.port)));
+      return undefined;
+    }
+    // the authenticated header makes the sender instance, the sender emitter and the message id a unique nonce
+    if (!isFresh.call(this, header.timestamp, header.instance + ':' + header.emitter + ':' + header.messageId)) {
+      report.call(this, errorTypes.replay, new Error(util.format('%s has dropped a stale or replayed message from %s:%d', this.name, rinfo.address, rinfo.port)));
+      return undefined;
+    }
+    return decrypted;
   }
-  this.events[event] = generatePort.call(this, event);
-  return this.events[event];
-};
+  return message;
+}
 
 /**
- * Verify if the event has a receiver
- * @param {String} event The event
- * @return {Boolean} True if the event has a receiver
- * @private
+ * Load a key used to sign or verify the messages
+ * @param {String/Buffer/KeyObject} key The key (PEM or KeyObject)
+ * @param {Boolean} isPrivate True to load a private key
+ * @return {KeyObject} The key
+ * @ignore
  */
-EventEmitter.prototype.hasReceiver = function hasReceiver(event) {
-  if (!event) {
-    throw new Error(util.format('%s requires an event', this.name));
+function loadKey(key, isPrivate) {
+  if (key instanceof crypto.KeyObject) {
+    return key;
   }
-  return this.listeners.hasOwnProperty(event) &&
-    this.listeners[event].hasOwnProperty('receiver');
-};
+  return isPrivate ? crypto.createPrivateKey(key) : crypto.createPublicKey(key);
+}
 
 /**
- * Verify if the event has at least one listener
- * @param {String} event The event
- * @return {Boolean} True if the event has at least one listener
+ * Get the digest used to sign with the key: Ed25519 and Ed448 keys do not require a digest
+ * @param {KeyObject} key The key
+ * @return {String} The digest
+ * @ignore
  */
-EventEmitter.prototype.hasListeners = function hasListeners(event) {
-  if (!event) {
-    throw new Error(util.format('%s requires an event', this.name));
+function signDigest(key) {
+  return (key.asymmetricKeyType === 'ed25519' || key.asymmetricKeyType === 'ed448') ? null : 'sha256';
+}
+
+/**
+ * Sign a message with the private key of the publisher. The signed message is
+ * `publisher length | publisher | signature length | signature | message` and the signature covers
+ * the publisher, the header and the message.
+ * @param {Buffer} message The message to sign
+ * @param {Buffer} header The header of the message
+ * @return {Buffer} The signed message
+ * @ignore
+ */
+function sign(message, header) {
+  if (this.privateKey) {
+    debug('%s sign message as "%s"', this.name, this.publisher);
+    var publisher = Buffer.from(this.publisher);
+    var publisherLength = Buffer.alloc(1);
+    publisherLength.writeUInt8(publisher.length, 0);
+    var signature = crypto.sign(signDigest(this.privateKey), Buffer.concat([publisher, header, message]), this.privateKey);
+    var signatureLength = Buffer.alloc(2);
+    signatureLength.writeUInt16BE(signature.length, 0);
+    return Buffer.concat([publisherLength, publisher, signatureLength, signature, message]);
   }
-  return this.listeners.hasOwnProperty(event) &&
-    this.listeners[event].hasOwnProperty('receiver') &&
-    this.listeners[event].hasOwnProperty('handlers') &&
-    this.listeners[event].handlers.length > 0;
-};
+  return message;
+}
 
 /**
- * Verify if exist an event with the specified UDP port
- * @param {String} event The event
- * @param {Number} port The UDP port
- * @return {String} The already registered event with the specified UDP port or undefined if the UDP port is not assigned to another event
- * @private
+ * Verify the signature of a message against the trusted publishers. Messages not signed, of unknown publishers
+ * or with an invalid signature are reported and dropped. If there are no trusted publishers the signature
+ * is removed without verification.
+ * @param {Buffer} message The signed message
+ * @param {Object} header The parsed header of the message
+ * @param {Object} rinfo The sender info
+ * @return {Object} The verified `publisher` and the `message` without signature or undefined if the message must be dropped
+ * @ignore
  */
-EventEmitter.prototype.hasEventWithPort = function hasEventWithPort(event, port) {
-  if (!port) {
-    port = generatePort.call(this, event);
+function verify(message, header, rinfo) {
+  var signed = !!(header.flags & flags.signed);
+  if (this.trusted && !signed) {
+    report.call(this, errorTypes.signature, new Error(util.format('%s has received a not signed message from %s:%d', this.name, rinfo.address, rinfo.port)));
+    return undefined;
   }
-  var prp;
-  for (prp in this.events) {
-    if (this.events.hasOwnProperty(prp)) {
-      if (this.events[prp] === port) {
-        return prp;
-      }
+  if (signed) {
+    var offset = message.length > 0 ? 1 + message.readUInt8(0) : 1;
+    if (message.length < offset + 2 || message.length < offset + 2 + message.readUInt16BE(offset)) {
+      report.call(this, errorTypes.signature, new Error(util.format('%s has received a truncated signed message from %s:%d', this.name, rinfo.address, rinfo.port)));
+      return undefined;
+    }
+    var publisher = message.slice(1, offset);
+    var signature = message.slice(offset + 2, offset + 2 + message.readUInt16BE(offset));
+    var payload = message.slice(offset + 2 + signature.length);
+    var id = publisher.toString();
+    if (!this.trusted) {
+      return {
+        message: payload
+      };
+    }
+    if (!this.trusted.hasOwnProperty(id)) {
+      report.call(this, errorTypes.signature, new Error(util.format('%s has received a message from %s:%d signed by the untrusted publisher "%s"', this.name, rinfo.address, rinfo.port, id)));
+      return undefined;
     }
+    var key = this.trusted[id];
+    var valid = false;
+    try {
+      valid = crypto.verify(signDigest(key), Buffer.concat([publisher, header.raw, payload]), key, signature);
+    } catch (err) {
+      valid = false;
+    }
+    if (!valid) {
+      report.call(this, errorTypes.signature, new Error(util.format('%s has received a message from %s:%d with an invalid signature of "%s"', this.name, rinfo.address, rinfo.port, id)));
+      return undefined;
+    }
+    debug('%s verify message signed by "%s"', this.name, id);
+    return {
+      publisher: id,
+      message: payload
+    };
   }
-  return undefined;
-};
+  return {
+    message: message
+  };
+}
 
 /**
- * Verify if exist an event with the specified UDP port and at least one listener
+ * Verify if the event is a pattern: a segment of the event is `*` or `**`
  * @param {String} event The event
- * @param {Number} port The UDP port
- * @return {String} The already registered event with the specified UDP port if it has at least a listener or undefined if the UDP port is not assigned to another event
- * @private
+ * @return {Boolean} True if the event is a pattern
+ * @ignore
  */
-EventEmitter.prototype.fullDefined = function fullDefined(event, port) {
-  if (this.hasReceiver(event) && this.hasListeners(event)) {
-    return this.hasEventWithPort(event, port);
-  }
-  return null;
-};
+function isPattern(event) {
+  return event.split(this.delimiter).some(function (segment) {
+    return segment === '*' || segment === '**';
+  });
+}
 
 /**
- * Add a listener for the specified event
- * @param {String} event The event
- * @param {Function} listener The function to call when the event occurs
- * @return {EventEmitter}
- * @chainable
+ * Verify if the segments of an event match the segments of a pattern:
+ * `*` matches exactly one segment and `**` matches zero or more segments
+ * @param {Array} pattern The segments of the pattern
+ * @param {Array} segments The segments of the event
+ * @return {Boolean} True if the event matches the pattern
+ * @ignore
  */
-EventEmitter.prototype.addListener = function addListener(event, listener) {
-  var definedEvent = this.fullDefined(event, this.events[event]);
-  if (definedEvent && definedEvent !== event) {
-    throw new Error(util.format('%s was unable to add "%s" listener because the UDP port %d was assigned to "%s"', this.name, event, this.getPort(event), definedEvent));
+function matchSegments(pattern, segments) {
+  if (pattern.length === 0) {
+    return segments.length === 0;
   }
-  if (!this.hasReceiver(event)) {
-    var receiver = dgram.createSocket('udp4');
-    this.listeners[event] = this.listeners[event] || {
-      receiver: receiver,
-      handlers: []
-    };
-    receiver.bind(this.getPort(event), this.getAddress(), function (){
-      receiver.setMulticastTTL(this.ttl);
-      receiver.addMembership(this.getAddress(), this.interface);
-      receiver.setMulticastLoopback(this.loopback);
-      var processMessage = true;
-      receiver.on('message', function(msg, rinfo) {
-        if (msg[0] === 64) {  // ascii value of @
-          // get the pid
-          var idx = tools.indexOf(msg, ':');
-          if (idx > 1) {
-            var _pid = new Buffer(idx - 1);
-            msg.copy(_pid, 0, 1, idx);
-            var pid = parseInt(_pid.toString(), 10);
-            // remove the pid
-            msg = msg.slice(idx + 1, msg.length);
-            // verify the pid
-            processMessage = (process.pid !== pid);
-          }
-        }
-        debug('%s reveived message from %s:%d and %s', this.name, rinfo.address, rinfo.port, processMessage ? 'processed' : 'not processed (foreign only allowed)');
-        if (processMessage) {
-          var decryptedMessage = decrypt.call(this, msg);
-          handleEvent.call(this, event, decryptedMessage, rinfo);
-        }
-      }.bind(this));
-      debug('%s ready to handle "%s" at %s:%d', this.name, event, this.getAddress(), this.getPort(event));
-    }.bind(this));
+  if (pattern[0] === '**') {
+    var i;
+    for (i = 0; i <= segments.length; i++) {
+      if (matchSegments(pattern.slice(1), segments.slice(i))) {
+        return true;
+      }
+    }
+    return false;
   }
-  this.listeners[event].handlers.push(listener);
-  var source = listener.toString();
-  if (source.length > 30) {
-    source = source.replace(/\n\s+/gi, ' ').substr(0, 30) + '\u2026';
+  if (segments.length === 0 || (pattern[0] !== '*' && pattern[0] !== segments[0])) {
+    return false;
   }
-  debug('%s add listener (%o) for "%s" event to %s:%d', this.name, source, event, this.getAddress(), this.getPort(event));
-  return this;
-};
+  return matchSegments(pattern.slice(1), segments.slice(1));
+}
+
+/**
+ * Get the handlers of the event and of all patterns matching the event
+ * @param {String} event The received event
+ * @return {Array} The handlers
+ * @ignore
+ */
+function matchingHandlers(event) {
+  var handlers = [];
+  var segments = event.split(this.delimiter);
+  Object.keys(this.subscriptions).forEach(function (listened) {
+    if (listened === event ||
+        (isPattern.call(this, listened) && matchSegments(listened.split(this.delimiter), segments))) {
+      handlers = handlers.concat(this.subscriptions[listened].handlers);
+    }
+  }.bind(this));
+  return handlers;
+}
+
+/**
+ * Decode the arguments of a received message
+ * @param {Object} header The parsed header of the message
+ * @param {Buffer} msg The decrypted message
+ * @param {Object} rinfo The sender info
+ * @return {Array} The arguments or undefined if the message can't be decoded
+ * @ignore
+ */
+function decode(header, msg, rinfo) {
+  var data;
+  var counted = knownEvent.call(this, header) ? header.event : undefined;
+  try {
+    data = this.codec.decode(msg);
+  } catch (err) {
+    metrics.record(this.metrics, counted, 'decodeFailures');
+    report.call(this, errorTypes.decode, new Error(util.format('%s was unable to decode "%s" from %s:%d: %s', this.name, header.event, rinfo.address, rinfo.port, err.message)), err);
+    return undefined;
+  }
+  if (!Array.isArray(data)) {
+    metrics.record(this.metrics, counted, 'decodeFailures');
+    report.call(this, errorTypes.decode, new Error(util.format('%s has decoded "%s" from %s:%d without arguments', this.name, header.event, rinfo.address, rinfo.port)));
+    return undefined;
+  }
+  return data;
+}
+
+/**
+ * Call a listener: a listener that throws is reported and does not prevent the other listeners from running
+ * @param {String} event The event
+ * @param {Function} handler The listener
+ * @param {Array} args The arguments of the event
+ * @ignore
+ */
+function callHandler(event, handler, args) {
+  var start = process.hrtime();
+  // the local events are not events of the group
+  var counted = isLocal(event) ? undefined : event;
+  try {
+    handler.apply(this, args);
+  } catch (err) {
+    metrics.record(this.metrics, counted, 'handlerErrors');
+    if (event === 'error') {
+      // an error listener that throws can't be reported again
+      debug('%s has an error listener that threw: %s', this.name, err.message);
+      return;
+    }
+    report.call(this, errorTypes.handler, new Error(util.format('%s has a listener of "%s" that threw: %s', this.name, event, err.message)), err);
+  } finally {
+    var elapsed = process.hrtime(start);
+    metrics.record(this.metrics, counted, 'handled');
+    metrics.record(this.metrics, counted, 'handlerTime', elapsed[0] + elapsed[1] / 1e9);
+  }
+}
+
+function handleEvent(event, msg, rinfo, publisher) {
+  var handlers = matchingHandlers.call(this, event);
+  if (handlers.length === 0) {
+    debug('%s has no listeners for "%s" from "%s:%d"', this.name, event, rinfo.address, rinfo.port);
+    return;
+  }
+  var data = decode.call(this, { event: event }, msg, rinfo);
+  if (!data) {
+    return;
+  }
+  data = inbound.call(this, 'event', event, data, rinfo);
+  if (!data) {
+    return;
+  }
+  debug('%s handle "%s" from "%s:%d" with arguments %o', this.name, event, rinfo.address, rinfo.port, data);
+  // the received event is useful for the listeners of a pattern
+  rinfo.event = event;
+  data.push(rinfo);
+  if (this.trusted) {
+    data.push(publisher);
+  }
+  handlers.forEach(function(handler) {
+    callHandler.call(this, event, handler, data);
+  }.bind(this));
+}
+
+/**
+ * Get the bytes of an IP address: an IPv4-mapped IPv6 address is an IPv4 address
+ * @param {String} address The IPv4 or IPv6 address
+ * @return {Array} The 4 bytes of an IPv4 address or the 16 bytes of an IPv6 address
+ * @ignore
+ */
+function addressBytes(address) {
+  var bytes = [];
+  if (net.isIPv4(address)) {
+    return address.split('.').map(Number);
+  }
+  var halves = address.split('::');
+  var groups = function (half) {
+    var result = [];
+    half.split(':').forEach(function (group) {
+      if (net.isIPv4(group)) {
+        // the embedded IPv4 address
+        var octets = group.split('.').map(Number);
+        result.push(octets[0] << 8 | octets[1], octets[2] << 8 | octets[3]);
+      } else if (group !== '') {
+        result.push(parseInt(group, 16));
+      }
+    });
+    return result;
+  };
+  var head = groups(halves[0]);
+  var tail = halves.length > 1 ? groups(halves[1]) : [];
+  var i;
+  head.concat(new Array(8 - head.length - tail.length).fill(0), tail).forEach(function (group) {
+    bytes.push(group >> 8, group & 0xff);
+  });
+  for (i = 0; i < 10; i++) {
+    if (bytes[i] !== 0) {
+      return bytes;
+    }
+  }
+  return bytes[10] === 0xff && bytes[11] === 0xff ? bytes.slice(12) : bytes;
+}
+
+/**
+ * Verify that an address is in a range
+ * @param {Object} range The range with the `bytes` of the network and the `prefix` length
+ * @param {Array} bytes The bytes of the address
+ * @return {Boolean} True if the address is in the range
+ * @ignore
+ */
+function inRange(range, bytes) {
+  var bits = range.prefix;
+  var i, mask;
+  if (range.bytes.length !== bytes.length) {
+    return false;
+  }
+  for (i = 0; bits > 0; i++, bits -= 8) {
+    mask = bits >= 8 ? 0xff : (0xff << (8 - bits)) & 0xff;
+    if ((range.bytes[i] & mask) !== (bytes[i] & mask)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Create the filter of the sources of the datagrams
+ * @param {String/String[]} [allow] The allowed IPs or CIDRs (all sources are allowed if it is undefined)
+ * @param {String/String[]} [deny] The denied IPs or CIDRs
+ * @return {Object} The filter with the `allow` and `deny` ranges and the allowed `addresses` (undefined if
+ * a CIDR is allowed) or undefined if no source is allowed or denied
+ * @ignore
+ */
+function sourceFilter(allow, deny) {
+  if (allow === undefined && deny === undefined) {
+    return undefined;
+  }
+  var filter = {
+    addresses: []
+  };
+  var range = function (entry, allowed) {
+    var parts = String(entry).split('/');
+    var bits = net.isIPv6(parts[0]) ? 128 : 32;
+    var prefix = parts.length === 2 ? Number(parts[1]) : bits;
+    if (!net.isIP(parts[0]) || parts.length > 2 || !(Number.isInteger(prefix) && prefix >= 0 && prefix <= bits)) {
+      throw new Error(util.format('%s has the invalid source %s: it must be an IP or a CIDR', this.name, entry));
+    }
+    var bytes = addressBytes(parts[0]);
+    if (bytes.length * 8 < bits) {
+      // an IPv4-mapped IPv6 range
+      prefix = Math.max(prefix - 96, 0);
+    }
+    if (allowed && filter.addresses) {
+      if (parts.length === 2) {
+        filter.addresses = undefined;
+      } else {
+        filter.addresses.push(parts[0]);
+      }
+    }
+    return {
+      bytes: bytes,
+      prefix: prefix
+    };
+  }.bind(this);
+  if (allow !== undefined) {
+    filter.allow = [].concat(allow).map(function (entry) {
+      return range(entry, true);
+    });
+  }
+  if (deny !== undefined) {
+    filter.deny = [].concat(deny).map(function (entry) {
+      return range(entry, false);
+    });
+  }
+  return filter;
+}
+
+/**
+ * Verify that a filter allows a source
+ * @param {Object} filter The filter (see sourceFilter)
+ * @param {String} address The address of the source
+ * @return {Boolean} True if the source is allowed
+ * @ignore
+ */
+function allowedBy(filter, address) {
+  var bytes = addressBytes(address);
+  var matches = function (ranges) {
+    return ranges.some(function (range) {
+      return inRange(range, bytes);
+    });
+  };
+  return !(filter.deny && matches(filter.deny)) && !(filter.allow && !matches(filter.allow));
+}
+
+/**
+ * Verify that the emitter and the definitions that match the event allow the source of a datagram
+ * @param {String} event The event of the datagram
+ * @param {String} address The address of the source
+ * @return {Boolean} True if the source is allowed
+ * @ignore
+ */
+function allowedSource(event, address) {
+  // the zone of an IPv6 address
+  address = address.split('%')[0];
+  if (this.sources && !allowedBy(this.sources, address)) {
+    return false;
+  }
+  return Object.keys(this.definitions).every(function (name) {
+    var sources = this.definitions[name].sources;
+    return !(sources && this.matches(name, event)) || allowedBy(sources, address);
+  }.bind(this));
+}
+
+/**
+ * Get the sources joined by a receiver using the source-specific multicast: the allowed addresses of the emitter
+ * and of the definitions that match the event (not denied). The CIDRs can't be joined, so any source is joined if a CIDR
+ * is allowed.
+ * @param {String} [event] The event or undefined if the receiver handles all events
+ * @return {Array} The addresses of the sources or undefined to join any source
+ * @ignore
+ */
+function specificSources(event) {
+  var filters = [this.sources];
+  if (event !== undefined) {
+    Object.keys(this.definitions).forEach(function (name) {
+      if (this.matches(name, event)) {
+        filters.push(this.definitions[name].sources);
+      }
+    }.bind(this));
+  }
+  filters = filters.filter(function (filter) {
+    return filter !== undefined;
+  });
+  var allowing = filters.filter(function (filter) {
+    return filter.allow !== undefined;
+  });
+  if (allowing.length === 0 || allowing.some(function (filter) {
+    return filter.addresses === undefined;
+  })) {
+    return undefined;
+  }
+  var addresses = allowing[0].addresses.filter(function (address) {
+    return filters.every(function (filter) {
+      return allowedBy(filter, address);
+    });
+  });
+  return addresses.length > 0 ? addresses : undefined;
+}
+
+/**
+ * Verify that the emitter handles the event of a message: only the counters of these events are recorded for
+ * every event, so a host of the network can't add events to the metrics sending random events
+ * @param {Object} header The parsed header of the message
+ * @return {Boolean} True if the emitter handles the event
+ * @ignore
+ */
+function knownEvent(header) {
+  var event = header.event;
+  switch (header.type) {
+    case types.request:
+      return this.subscriptions.hasOwnProperty(event) && !!this.subscriptions[event].responder;
+    case types.reply:
+      return Object.keys(this.requests).some(function (messageId) {
+        return this.requests[messageId].event === event;
+      }.bind(this));
+    case types.nack:
+      return this.history[event] !== undefined;
+    case types.presence:
+      return true;
+    default:
+      return matchingHandlers.call(this, event).length > 0;
+  }
+}
+
+/**
+ * Handle a message received by a receiver for the event (or for any event if the transport is shared) or
+ * by the sender socket (unicast messages: replies, nacks and retransmissions)
+ * @param {String} event The event or undefined if the transport is shared or the message is unicast
+ * @param {Buffer} msg The received message
+ * @param {Object} rinfo The sender info
+ * @param {Boolean} [unicast = false] True if the message is received by the sender socket
+ * @ignore
+ */
+function receive(event, msg, rinfo, unicast) {
+  // the datagrams not authenticated are counted only in the total: the events of their headers can be random
+  var header = parseHeader.call(this, msg, rinfo);
+  metrics.record(this.metrics, undefined, 'received');
+  metrics.record(this.metrics, undefined, 'receivedBytes', msg.length);
+  if (!header) {
+    return;
+  }
+  if (!allowedSource.call(this, header.event, rinfo.address)) {
+    debug('%s has dropped a datagram of "%s" from the source %s:%d not allowed', this.name, header.event, rinfo.address, rinfo.port);
+    metrics.record(this.metrics, undefined, 'sourceDrops');
+    return;
+  }
+  if (!unicast && this.interfaces && isDuplicate.call(this, header)) {
+    debug('%s has dropped a duplicated datagram of "%s" from %s:%d', this.name, header.event, rinfo.address, rinfo.port);
+    metrics.record(this.metrics, undefined, 'duplicateDrops');
+    return;
+  }
+  if (event !== undefined && header.event !== event) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received "%s" but "%s" was expected', this.name, header.event, event)));
+    return;
+  }
+  var expected;
+  if (unicast) {
+    expected = header.type === types.reply || header.type === types.nack || (header.type === types.event && header.sequence !== undefined);
+  } else if (event === presenceEvent) {
+    expected = header.type === types.presence;
+  } else {
+    expected = header.type === types.event || header.type === types.request;
+  }
+  if (!expected) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received an unexpected message of type %d from %s:%d', this.name, header.type, rinfo.address, rinfo.port)));
+    return;
+  }
+  if (header.codec !== this.codec.id) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received a message from %s:%d encoded with the codec %d but %s (%d) was expected', this.name, rinfo.address, rinfo.port, header.codec, this.codec.name, this.codec.id)));
+    return;
+  }
+  // the sender instance is unique for every process on every host
+  var processMessage = unicast || !(this.foreignOnly && header.instance === instance);
+  debug('%s reveived message from %s:%d and %s', this.name, rinfo.address, rinfo.port, processMessage ? 'processed' : 'not processed (foreign only allowed)');
+  if (!processMessage) {
+    metrics.record(this.metrics, undefined, 'foreignDrops');
+  }
+  if (processMessage && header.fragment !== undefined) {
+    msg = reassemble.call(this, header, msg, rinfo);
+    header = msg && parseHeader.call(this, msg, rinfo);
+    processMessage = !!header;
+  }
+  if (processMessage) {
+    var verified = verify.call(this, msg.slice(header.raw.length), header, rinfo);
+    var decryptedMessage = verified && decrypt.call(this, verified.message, header, rinfo);
+    if (verified && !decryptedMessage) {
+      metrics.record(this.metrics, undefined, 'decryptFailures');
+    }
+    if (decryptedMessage && knownEvent.call(this, header)) {
+      metrics.recordEvent(this.metrics, header.event, 'received');
+      metrics.recordEvent(this.metrics, header.event, 'receivedBytes', msg.length);
+    }
+    if (decryptedMessage && (header.flags & flags.compressed)) {
+      decryptedMessage = decompress.call(this, decryptedMessage, header, rinfo);
+      if (!decryptedMessage) {
+        metrics.record(this.metrics, knownEvent.call(this, header) ? header.event : undefined, 'decodeFailures');
+      }
+    }
+    if (decryptedMessage) {
+      switch (header.type) {
+        case types.request:
+          handleRequest.call(this, header, decryptedMessage, rinfo, verified.publisher);
+          break;
+        case types.reply:
+          handleReply.call(this, header, decryptedMessage, rinfo, verified.publisher);
+          break;
+        case types.nack:
+          handleNack.call(this, header, decryptedMessage, rinfo);
+          break;
+        case types.presence:
+          handlePresence.call(this, header, decryptedMessage, rinfo, verified.publisher);
+          break;
+        default:
+          deliver.call(this, header, decryptedMessage, rinfo, verified.publisher);
+      }
+    }
+  }
+}
+
+/**
+ * Deliver an event to the listeners. Reliable events are delivered in order: the missing events are
+ * requested to the sender and the received events are buffered until the missing events are received or lost.
+ * @param {Object} header The parsed header of the event
+ * @param {Buffer} msg The decrypted event
+ * @param {Object} rinfo The sender info
+ * @param {String} publisher The verified publisher of the event
+ * @ignore
+ */
+function deliver(header, msg, rinfo, publisher) {
+  // the time when the event was emitted and the emitter that has emitted it
+  rinfo.timestamp = header.timestamp;
+  rinfo.peer = header.instance + ':' + header.emitter;
+  if (header.sequence === undefined) {
+    handleEvent.call(this, header.event, msg, rinfo, publisher);
+    return;
+  }
+  var now = Date.now();
+  // forget the idle streams (a stream waiting the missing events is not idle)
+  if (now - this.streamsPruned > this.streamTimeout) {
+    Object.keys(this.streams).forEach(function (idle) {
+      var stream = this.streams[idle];
+      if (!stream.timer && now - stream.received > this.streamTimeout) {
+        delete this.streams[idle];
+      }
+    }.bind(this));
+    this.streamsPruned = now;
+  }
+  var key = header.instance + ':' + header.emitter + ':' + header.event;
+  var stream = this.streams[key];
+  if (!stream) {
+    // the first received event starts the stream
+    stream = this.streams[key] = {
+      event: header.event,
+      emitter: header.emitter,
+      expected: header.sequence,
+      pending: {},
+      retries: 0
+    };
+  }
+  stream.received = now;
+  if (!stream.port) {
+    // the nacks are sent to the sender socket of the stream
+    stream.address = rinfo.address;
+    stream.port = rinfo.port;
+  }
+  var distance = (header.sequence - stream.expected) >>> 0;
+  if (distance >= 0x80000000 || stream.pending.hasOwnProperty(header.sequence)) {
+    debug('%s has dropped the duplicated event "%s" #%d from %s:%d', this.name, header.event, header.sequence, rinfo.address, rinfo.port);
+    return;
+  }
+  stream.pending[header.sequence] = {
+    msg: msg,
+    rinfo: rinfo,
+    publisher: publisher
+  };
+  flush.call(this, stream);
+  if (Object.keys(stream.pending).length > this.retransmitBuffer) {
+    skipGap.call(this, stream);
+  } else if (Object.keys(stream.pending).length > 0 && !stream.timer) {
+    requestMissing.call(this, stream);
+  }
+}
+
+/**
+ * Deliver the buffered events of a stream until the first missing event
+ * @param {Object} stream The stream
+ * @ignore
+ */
+function flush(stream) {
+  while (stream.pending.hasOwnProperty(stream.expected)) {
+    var pending = stream.pending[stream.expected];
+    delete stream.pending[stream.expected];
+    stream.expected = (stream.expected + 1) >>> 0;
+    stream.retries = 0;
+    handleEvent.call(this, stream.event, pending.msg, pending.rinfo, pending.publisher);
+  }
+  if (Object.keys(stream.pending).length === 0 && stream.timer) {
+    clearTimeout(stream.timer);
+    stream.timer = undefined;
+  }
+}
+
+/**
+ * Send a nack to the sender of a stream with the sequence numbers of the missing events. If the missing events
+ * are not received after all retries they are lost.
+ * @param {Object} stream The stream
+ * @ignore
+ */
+function requestMissing(stream) {
+  var last = 0;
+  Object.keys(stream.pending).forEach(function (sequence) {
+    last = Math.max(last, (Number(sequence) - stream.expected) >>> 0);
+  });
+  var missing = [];
+  var i;
+  for (i = 0; i < last; i++) {
+    if (!stream.pending.hasOwnProperty((stream.expected + i) >>> 0)) {
+      missing.push((stream.expected + i) >>> 0);
+    }
+  }
+  stream.retries++;
+  debug('%s request the missing events "%s" %o to %s:%d', this.name, stream.event, missing, stream.address, stream.port);
+  if (stream.port) {
+    send.call(this, stream.event, [stream.emitter, missing], types.nack, stream.port, stream.address);
+  }
+  stream.timer = setTimeout(function () {
+    stream.timer = undefined;
+    if (Object.keys(stream.pending).length > 0) {
+      if (stream.retries >= this.nackRetries) {
+        skipGap.call(this, stream);
+      } else {
+        requestMissing.call(this, stream);
+      }
+    }
+  }.bind(this), this.nackInterval);
+}
+
+/**
+ * Skip the missing events of a stream because they are lost and emit the `gap` event
+ * @param {Object} stream The stream
+ * @ignore
+ */
+function skipGap(stream) {
+  var next;
+  Object.keys(stream.pending).forEach(function (sequence) {
+    var distance = (Number(sequence) - stream.expected) >>> 0;
+    if (next === undefined || distance < next) {
+      next = distance;
+    }
+  });
+  var gap = {
+    event: stream.event,
+    address: stream.address,
+    port: stream.port,
+    from: stream.expected,
+    to: (stream.expected + next - 1) >>> 0
+  };
+  debug('%s has lost the events "%s" from #%d to #%d', this.name, gap.event, gap.from, gap.to);
+  stream.expected = (stream.expected + next) >>> 0;
+  stream.retries = 0;
+  if (stream.timer) {
+    clearTimeout(stream.timer);
+    stream.timer = undefined;
+  }
+  emitLocal.call(this, 'gap', gap);
+  flush.call(this, stream);
+  if (Object.keys(stream.pending).length > 0) {
+    requestMissing.call(this, stream);
+  }
+}
+
+/**
+ * Retransmit the events requested by a nack to the socket that sent the nack
+ * @param {Object} header The parsed header of the nack
+ * @param {Buffer} msg The decrypted nack
+ * @param {Object} rinfo The sender info of the nack
+ * @ignore
+ */
+function handleNack(header, msg, rinfo) {
+  var data = decode.call(this, header, msg, rinfo);
+  if (!data) {
+    return;
+  }
+  var history = this.history[header.event];
+  if (data[0] !== this.index || !history || !Array.isArray(data[1])) {
+    return;
+  }
+  data[1].forEach(function (sequence) {
+    // the sequences are integers (a forged sequence can be any value)
+    if (Number.isInteger(sequence) && history[sequence] !== undefined) {
+      debug('%s retransmit the event "%s" #%d to %s:%d', this.name, header.event, sequence, rinfo.address, rinfo.port);
+      history[sequence].forEach(function (datagram) {
+        this.sender.send(datagram, rinfo.port, rinfo.address);
+      }.bind(this));
+    } else {
+      debug('%s can\'t retransmit the event "%s" #%d to %s:%d', this.name, header.event, sequence, rinfo.address, rinfo.port);
+    }
+  }.bind(this));
+}
+
+/**
+ * Validate the arguments of a received event (or request) and run the middlewares. An event with invalid arguments
+ * is dropped and reported as validation error, a vetoed event is dropped.
+ * @param {String} type The type of the message: 'event' or 'request'
+ * @param {String} event The event
+ * @param {Array} args The decoded arguments
+ * @param {Object} rinfo The sender info
+ * @return {Array} The arguments for the listeners (or the responder) or undefined if the event is dropped
+ * @ignore
+ */
+function inbound(type, event, args, rinfo) {
+  var reason = invalidArguments.call(this, event, args);
+  if (reason !== undefined) {
+    report.call(this, errorTypes.validation, new Error(util.format('%s has dropped the %s "%s" from %s:%d with invalid arguments: %s', this.name, type, event, rinfo.address, rinfo.port, reason)));
+    return undefined;
+  }
+  var message = {
+    direction: 'inbound',
+    type: type,
+    event: event,
+    args: args,
+    rinfo: rinfo
+  };
+  try {
+    if (!runMiddlewares.call(this, message)) {
+      debug('%s has dropped the %s "%s" from %s:%d: vetoed by a middleware', this.name, type, event, rinfo.address, rinfo.port);
+      return undefined;
+    }
+  } catch (err) {
+    report.call(this, errorTypes.handler, new Error(util.format('%s has a middleware of "%s" that threw: %s', this.name, event, err.message)), err);
+    return undefined;
+  }
+  return message.args;
+}
+
+/**
+ * Run the middlewares and validate the arguments of an event (or a request) before it is sent
+ * @param {String} type The type of the message: 'event' or 'request'
+ * @param {String} event The event
+ * @param {Array} args The arguments
+ * @return {Array} The arguments to send
+ * @throws {Error} If a middleware vetoes the event or throws or if the arguments are invalid
+ * @ignore
+ */
+function outbound(type, event, args) {
+  var message = {
+    direction: 'outbound',
+    type: type,
+    event: event,
+    args: args
+  };
+  if (!runMiddlewares.call(this, message)) {
+    throw new Error(util.format('%s can\'t send the %s "%s": vetoed by a middleware', this.name, type, event));
+  }
+  var reason = invalidArguments.call(this, event, message.args);
+  if (reason !== undefined) {
+    throw new Error(util.format('%s can\'t send the %s "%s" with invalid arguments: %s', this.name, type, event, reason));
+  }
+  return message.args;
+}
+
+/**
+ * Handle a request calling the responder of the event and send the reply to the requester
+ * @param {Object} header The parsed header of the request
+ * @param {Buffer} msg The decrypted request
+ * @param {Object} rinfo The requester info
+ * @param {String} publisher The verified publisher of the request
+ * @ignore
+ */
+function handleRequest(header, msg, rinfo, publisher) {
+  var event = header.event;
+  if (!(this.subscriptions.hasOwnProperty(event) && this.subscriptions[event].responder)) {
+    debug('%s has no responder for "%s" from "%s:%d"', this.name, event, rinfo.address, rinfo.port);
+    return;
+  }
+  var responder = this.subscriptions[event].responder;
+  var data = decode.call(this, header, msg, rinfo);
+  if (!data) {
+    return;
+  }
+  data = inbound.call(this, 'request', event, data, rinfo);
+  if (!data) {
+    return;
+  }
+  debug('%s respond to "%s" from "%s:%d" with arguments %o', this.name, event, rinfo.address, rinfo.port, data);
+  rinfo.event = event;
+  data.push(rinfo);
+  if (this.trusted) {
+    data.push(publisher);
+  }
+  var self = this;
+  function reply(error, result) {
+    // the reply is sent to the socket used to send the request
+    send.call(self, event, [header.instance, header.messageId, error, result === undefined ? null : result], types.reply, rinfo.port, rinfo.address);
+  }
+  new Promise(function (resolve) {
+    resolve(responder.apply(undefined, data));
+  }).then(function (result) {
+    reply(null, result);
+  }, function (err) {
+    reply(err instanceof Error ? err.message : String(err), null);
+  });
+}
+
+/**
+ * Handle a reply received by the sender socket and settle the pending request
+ * @param {Object} header The parsed header of the reply
+ * @param {Buffer} msg The decrypted reply
+ * @param {Object} rinfo The responder info
+ * @param {String} publisher The verified publisher of the reply
+ * @ignore
+ */
+function handleReply(header, msg, rinfo, publisher) {
+  var data = decode.call(this, header, msg, rinfo);
+  if (!data) {
+    return;
+  }
+  // the request id is a number (a forged id can be a key of Object.prototype)
+  var pending = typeof data[1] === 'number' && this.requests.hasOwnProperty(data[1]) ? this.requests[data[1]] : undefined;
+  if (data[0] !== instance || !pending) {
+    debug('%s has received a late reply to "%s" from %s:%d', this.name, header.event, rinfo.address, rinfo.port);
+    return;
+  }
+  debug('%s has received a reply to "%s" from %s:%d', this.name, header.event, rinfo.address, rinfo.port);
+  var reply = {
+    address: rinfo.address,
+    port: rinfo.port,
+    publisher: publisher,
+    error: data[2],
+    result: data[3]
+  };
+  if (pending.expect === 'first') {
+    settleRequest.call(this, data[1], reply);
+  } else {
+    pending.replies.push(reply);
+  }
+}
+
+/**
+ * Settle a pending request with the first reply or, on timeout, with all received replies
+ * @param {Number} messageId The message id of the request
+ * @param {Object} [reply] The first reply
+ * @ignore
+ */
+function settleRequest(messageId, reply) {
+  var pending = this.requests[messageId];
+  delete this.requests[messageId];
+  clearTimeout(pending.timer);
+  if (reply) {
+    if (reply.error !== null) {
+      pending.reject(new Error(util.format('%s has received an error reply to "%s" from %s:%d: %s', this.name, pending.event, reply.address, reply.port, reply.error)));
+    } else {
+      pending.resolve(reply.result);
+    }
+  } else if (pending.replies.length > 0) {
+    pending.resolve(pending.replies);
+  } else {
+    var err = new Error(util.format('%s has not received a reply to "%s" within %d ms', this.name, pending.event, pending.timeout));
+    err.code = 'ETIMEDOUT';
+    pending.reject(err);
+  }
+}
+
+/**
+ * Bind a socket of the transport
+ * @param {Object} socket The socket
+ * @param {Number} [port] The port or undefined to bind a random port
+ * @param {String} [address] The address or undefined to bind all addresses
+ * @param {Function} [callback] The function called when the socket is bound
+ * @return {Promise} Resolved when the socket is bound (or closed before) with undefined or with the error
+ * if the bind has failed
+ * @ignore
+ */
+function listening(socket, port, address, callback) {
+  return new Promise(function (resolve) {
+    socket.bind(port, address, function (err) {
+      if (!err && callback) {
+        callback();
+      }
+      resolve(err);
+    });
+  });
+}
+
+/**
+ * Create the receiver socket of the event. If the transport is shared the receiver handles all events of the group.
+ * The receiver of the presence announcements has its own port.
+ * @param {String} event The event
+ * @return {Object} The `receiver` socket and the `bound` promise (see listening)
+ * @ignore
+ */
+function createReceiver(event) {
+  var presence = event === presenceEvent;
+  var shared = this.transport === 'shared' && !presence;
+  var port = presence ? generatePort.call(this, presenceEvent) : this.getPort(event);
+  // all processes of the host bind the same port when the transport is shared
+  var receiver = this.network.createSocket({
+    family: this.family,
+    reuseAddr: shared || presence,
+    ttl: this.ttl,
+    loopback: this.loopback
+  });
+  receiver.sources = specificSources.call(this, shared || presence ? undefined : event);
+  receiver.onError(function (err) {
+    // e.g. EADDRINUSE if the port is already bound by a socket without reuseAddr
+    var type = err.code === 'EADDRINUSE' ? errorTypes.bind : errorTypes.socket;
+    report.call(this, type, new Error(util.format('%s has a receiver error for "%s" at %s:%d: %s', this.name, shared ? '*' : event, this.getAddress(), port, err.message)), err);
+  }.bind(this));
+  // a scoped IPv6 group is bound with the zone of the interface
+  var bound = listening(receiver, port, this.zone ? this.getAddress() + '%' + this.zone : this.getAddress(), function () {
+    try {
+      this.memberships.forEach(joinGroup.bind(this, receiver));
+    } catch (err) {
+      report.call(this, errorTypes.socket, new Error(util.format('%s was unable to join the group %s for "%s": %s', this.name, this.getAddress(), shared ? '*' : event, err.message)), err);
+      return;
+    }
+    receiver.onMessage(function(msg, rinfo) {
+      receive.call(this, shared ? undefined : event, msg, rinfo);
+    }.bind(this));
+    debug('%s ready to handle "%s" at %s:%d', this.name, shared ? '*' : event, this.getAddress(), port);
+  }.bind(this));
+  return {
+    receiver: receiver,
+    bound: bound
+  };
+}
+
+/**
+ * Join the group on an interface: the receiver with the allowed sources joins only them (using the source-specific
+ * multicast) if the transport supports it, otherwise it joins any source
+ * @param {Object} receiver The receiver
+ * @param {String} membership The interface
+ * @ignore
+ */
+function joinGroup(receiver, membership) {
+  var joined = [];
+  if (receiver.sources && typeof receiver.joinSource === 'function') {
+    try {
+      receiver.sources.forEach(function (source) {
+        receiver.joinSource(source, this.getAddress(), membership);
+        joined.push(source);
+      }.bind(this));
+      return;
+    } catch (err) {
+      debug('%s was unable to join the sources %o of the group %s: %s', this.name, receiver.sources, this.getAddress(), err.message);
+      joined.forEach(function (source) {
+        receiver.leaveSource(source, this.getAddress(), membership);
+      }.bind(this));
+    }
+  }
+  receiver.sources = undefined;
+  receiver.join(this.getAddress(), membership);
+}
+
+/**
+ * Leave the group on an interface (or the sources joined on the interface)
+ * @param {Object} receiver The receiver
+ * @param {String} membership The interface
+ * @ignore
+ */
+function leaveGroup(receiver, membership) {
+  if (receiver.sources) {
+    receiver.sources.forEach(function (source) {
+      receiver.leaveSource(source, this.getAddress(), membership);
+    }.bind(this));
+  } else {
+    receiver.leave(this.getAddress(), membership);
+  }
+}
+
+/**
+ * Get the subscription with the receiver shared by all events of the group
+ * @return {Object} The subscription or undefined if no event has a receiver
+ * @ignore
+ */
+function sharedSubscription() {
+  var events = Object.keys(this.subscriptions);
+  var i;
+  for (i = 0; i < events.length; i++) {
+    if (this.hasReceiver(events[i])) {
+      return this.subscriptions[events[i]];
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Create the receiver of the event if it does not exist
+ * @param {String} event The event
+ * @ignore
+ */
+function ensureReceiver(event) {
+  if (this.closing) {
+    throw new Error(util.format('%s is closed: can\'t listen "%s"', this.name, event));
+  }
+  if (event === presenceEvent) {
+    throw new Error(util.format('%s can\'t listen the reserved event "%s"', this.name, event));
+  }
+  if (this.transport !== 'shared') {
+    var definedEvent = this.fullDefined(event, this.events[event]);
+    if (definedEvent && definedEvent !== event) {
+      throw new Error(util.format('%s was unable to add "%s" listener because the UDP port %d was assigned to "%s"', this.name, event, this.getPort(event), definedEvent));
+    }
+  }
+  if (!this.hasReceiver(event)) {
+    var shared = (this.transport === 'shared' && sharedSubscription.call(this)) || createReceiver.call(this, event);
+    this.subscriptions[event] = {
+      receiver: shared.receiver,
+      bound: shared.bound,
+      handlers: []
+    };
+  }
+}
+
+/**
+ * Drop the membership of the receiver and close it
+ * @param {Object} receiver The receiver
+ * @param {String} event The event (or '*' if the transport is shared)
+ * @param {Function} [callback] The function called when the receiver is closed
+ * @ignore
+ */
+function closeReceiver(receiver, event, callback) {
+  this.memberships.forEach(function (membership) {
+    try {
+      leaveGroup.call(this, receiver, membership);
+    } catch (err) {
+      // the receiver is closed before it has joined the group
+      debug('%s has not joined the group for "%s": %s', this.name, event, err.message);
+    }
+  }.bind(this));
+  receiver.close(callback);
+}
+
+/**
+ * Get the memberships of the interfaces: the address of every eligible NIC (one for every NIC if all NICs are
+ * eligible). An IPv6 membership has the scope of the NIC. If no NIC is eligible the OS chooses the interface.
+ * @return {Array} The memberships
+ * @ignore
+ */
+function eligibleMemberships() {
+  var ifs = os.networkInterfaces();
+  var family = this.family === 'ipv6' ? ['IPv6', 6] : ['IPv4', 4];
+  var memberships = [];
+  Object.keys(ifs).forEach(function (nic) {
+    var addresses = ifs[nic].filter(function (address) {
+      return !address.internal && family.indexOf(address.family) !== -1;
+    });
+    if (this.interfaces === 'all') {
+      if (addresses.length > 0) {
+        memberships.push(this.family === 'ipv6' ? '::%' + nic : addresses[0].address);
+      }
+    } else {
+      addresses.forEach(function (address) {
+        if (this.interfaces.indexOf(address.address) !== -1) {
+          memberships.push(this.family === 'ipv6' ? address.address + '%' + nic : address.address);
+        }
+      }.bind(this));
+    }
+  }.bind(this));
+  return memberships.length > 0 ? memberships : [undefined];
+}
+
+/**
+ * Get all receivers of the emitter
+ * @return {Array} The receivers
+ * @ignore
+ */
+function allReceivers() {
+  var receivers = [];
+  Object.keys(this.subscriptions).forEach(function (event) {
+    var receiver = this.subscriptions[event].receiver;
+    if (receivers.indexOf(receiver) === -1) {
+      receivers.push(receiver);
+    }
+  }.bind(this));
+  if (this.presence) {
+    receivers.push(this.presenceReceiver);
+  }
+  return receivers;
+}
+
+/**
+ * Scan the network interfaces: every receiver joins the group on the new interfaces and leaves the group
+ * on the removed interfaces
+ * @ignore
+ */
+function scanInterfaces() {
+  var current = eligibleMemberships.call(this);
+  var added = current.filter(function (membership) {
+    return this.memberships.indexOf(membership) === -1;
+  }.bind(this));
+  var removed = this.memberships.filter(function (membership) {
+    return current.indexOf(membership) === -1;
+  });
+  if (added.length === 0 && removed.length === 0) {
+    return;
+  }
+  debug('%s has new interfaces %o and removed interfaces %o', this.name, added, removed);
+  this.memberships = current;
+  allReceivers.call(this).forEach(function (receiver) {
+    removed.forEach(function (membership) {
+      try {
+        leaveGroup.call(this, receiver, membership);
+      } catch (err) {
+        // the interface is already removed
+        debug('%s was unable to leave the group on %s: %s', this.name, membership, err.message);
+      }
+    }.bind(this));
+    added.forEach(function (membership) {
+      try {
+        joinGroup.call(this, receiver, membership);
+      } catch (err) {
+        report.call(this, errorTypes.socket, new Error(util.format('%s was unable to join the group %s on %s: %s', this.name, this.getAddress(), membership, err.message)), err);
+      }
+    }.bind(this));
+  }.bind(this));
+}
+
+/**
+ * Verify that a datagram is a duplicate received by another interface
+ * @param {Object} header The parsed header of the datagram
+ * @return {Boolean} True if the datagram is already received
+ * @ignore
+ */
+function isDuplicate(header) {
+  var now = Date.now();
+  var key = [header.instance, header.emitter, header.messageId, header.type, header.fragment].join(':');
+  if (this.seen.hasOwnProperty(key) && now - this.seen[key] <= this.dedupWindow) {
+    return true;
+  }
+  // forget the datagrams outside the window
+  if (now - this.seenPruned > this.dedupWindow) {
+    Object.keys(this.seen).forEach(function (seen) {
+      if (now - this.seen[seen] > this.dedupWindow) {
+        delete this.seen[seen];
+      }
+    }.bind(this));
+    this.seenPruned = now;
+  }
+  this.seen[key] = now;
+  return false;
+}
+
+/**
+ * Close the receiver of the event if the event has no more listeners and no responder
+ * @param {String} event The event
+ * @ignore
+ */
+function releaseReceiver(event) {
+  if (this.subscriptions[event].handlers.length === 0 && !this.subscriptions[event].responder) {
+    var receiver = this.subscriptions[event].receiver;
+    delete this.subscriptions[event];
+    if (this.transport !== 'shared' || !sharedSubscription.call(this)) {
+      closeReceiver.call(this, receiver, event);
+      debug('%s has no more listeners for "%s" at %s:%d: closed receiver', this.name, event, this.getAddress(), this.getPort(event));
+    }
+  }
+}
+
+function generatePort(event) {
+  // to avoid conflict with other applications with same event name
+  var hash = md5(this.id + '::' + this.group + (event === undefined ? '' : '::' + event));
+  return this.port + hash.charCodeAt(hash.length - 1) + 256 * (hash.charCodeAt(hash.length - 2) % 128);
+}
+
+/**
+ * Verify that a provided address is configured on a NIC
+ *
+ * @param {String} address The address to verify
+ * @return {String} The name of the NIC or undefined if the address is not configured on a NIC
+ */
+function verifyAddress(address) {
+  var ifs = os.networkInterfaces();
+  var nics = Object.keys(ifs);
+  var i, j, match;
+  nicLoop:
+    for (i = 0; i < nics.length; i++) {
+      var nic = ifs[nics[i]];
+      for (j = 0; j < nic.length; j++) {
+        if (nic[j].address === address && !nic[j].internal) {
+          match = nics[i];
+          break nicLoop;
+        }
+      }
+    }
+  return match;
+}
+
+/**
+ * Verify if the event is handled only by the local emitter
+ * @param {String} event The event
+ * @return {Boolean} True if the event is local
+ * @ignore
+ */
+function isLocal(event) {
+  return localEvents.indexOf(event) !== -1;
+}
+
+/**
+ * Call the listeners of a local event
+ * @param {String} event The local event
+ * @param {Mixed...} [args] The arguments of the event
+ * @return {Boolean} True if the event has listeners
+ * @ignore
+ */
+function emitLocal(event) {
+  var args = [].slice.call(arguments, 1);
+  var handlers = (this.locals[event] || []).slice();
+  handlers.forEach(function (handler) {
+    callHandler.call(this, event, handler, args);
+  }.bind(this));
+  return handlers.length > 0;
+}
+
+/**
+ * Announce the emitter to the group: the announcement has the name, the host, the pid, the version of the module
+ * and the events listened by the emitter
+ * @param {Boolean} [leaving = false] True if the emitter is leaving the group
+ * @param {Function} [callback] The function called when the announcement is sent
+ * @ignore
+ */
+function announce(leaving, callback) {
+  var info = {
+    name: this.name,
+    host: os.hostname(),
+    pid: process.pid,
+    version: pkg.version,
+    events: Object.keys(this.subscriptions),
+    leaving: !!leaving
+  };
+  send.call(this, presenceEvent, [info], types.presence, generatePort.call(this, presenceEvent), this.getAddress(), undefined, callback);
+}
+
+/**
+ * Handle the announcement of a peer: a new peer emits the `peer-join` event and a leaving peer emits
+ * the `peer-leave` event
+ * @param {Object} header The parsed header of the announcement
+ * @param {Buffer} msg The decrypted announcement
+ * @param {Object} rinfo The sender info
+ * @param {String} publisher The verified publisher of the announcement
+ * @ignore
+ */
+function handlePresence(header, msg, rinfo, publisher) {
+  var id = header.instance + ':' + header.emitter;
+  if (header.instance === instance && header.emitter === this.index) {
+    return;
+  }
+  var data = decode.call(this, header, msg, rinfo);
+  if (!data) {
+    return;
+  }
+  var info = data[0];
+  if (!info || typeof info !== 'object' || !Array.isArray(info.events)) {
+    report.call(this, errorTypes.decode, new Error(util.format('%s has received an invalid announcement from %s:%d', this.name, rinfo.address, rinfo.port)));
+    return;
+  }
+  var known = this.knownPeers[id];
+  if (info.leaving) {
+    if (known) {
+      delete this.knownPeers[id];
+      debug('%s has a leaving peer "%s" from %s:%d', this.name, known.name, rinfo.address, rinfo.port);
+      emitLocal.call(this, 'peer-leave', known, 'leave');
+    }
+    return;
+  }
+  var peer = this.knownPeers[id] = {
+    id: id,
+    name: info.name,
+    host: info.host,
+    pid: info.pid,
+    version: info.version,
+    events: info.events,
+    address: rinfo.address,
+    port: rinfo.port,
+    publisher: publisher,
+    lastSeen: Date.now()
+  };
+  if (!known) {
+    debug('%s has a new peer "%s" from %s:%d', this.name, peer.name, rinfo.address, rinfo.port);
+    emitLocal.call(this, 'peer-join', peer);
+  }
+}
+
+/**
+ * Remove the peers without announcements within the presence timeout emitting the `peer-leave` event
+ * @ignore
+ */
+function expirePeers() {
+  var now = Date.now();
+  Object.keys(this.knownPeers).forEach(function (id) {
+    var peer = this.knownPeers[id];
+    if (now - peer.lastSeen > this.presenceTimeout) {
+      delete this.knownPeers[id];
+      debug('%s has lost the peer "%s" from %s:%d', this.name, peer.name, peer.address, peer.port);
+      emitLocal.call(this, 'peer-leave', peer, 'timeout');
+    }
+  }.bind(this));
+}
+
+var emitterCounter = 0;
+
+/**
+ * EventEmitter class
+ *
+ * @class node_modules.multicast_events.EventEmitter
+ * @cfg {Object} opts Options
+ * @cfg {String} [opts.name = 'emitter #n'] The name assigned to the instance for debug purpose
+ * @cfg {String} [opts.id = 'default'] The identifier of the application
+ * @cfg {String/Object} [opts.codec = 'amp'] The codec used to encode the arguments of the events: 'amp', 'json', 'msgpack' or a custom codec `{ id: 128..255, encode: function (args) {}, decode: function (buffer) {} }`. All emitters of a group must use the same codec
+ * @cfg {Boolean} [opts.secure = false] Set `true` to enable the messages encryption
+ * @cfg {String} [opts.cipher = 'aes-256-gcm'] The authenticated cipher used to encrypt/decrypt the messages: 'aes-128-gcm', 'aes-192-gcm' or 'aes-256-gcm'
+ * @cfg {String} [opts.secret = 'secret'] The shared secret password use to encrypt all messages. It is ignored if `opts.keys` is provided
+ * @cfg {Object} opts.keys The keyring used to rotate the secret without downtime: { keyId: secret }. Messages are encrypted with the active key and decrypted with any key of the keyring
+ * @cfg {String} opts.activeKey The id of the key used to encrypt the messages. It is required if the keyring has more than one key
+ * @cfg {String/KeyObject} opts.privateKey The private key (Ed25519, Ed448 or ECDSA) used to sign the messages
+ * @cfg {String} [opts.publisher = os.hostname()] The publisher id sent with every signed message
+ * @cfg {Object} opts.trusted The public keys of the trusted publishers: { publisherId: publicKey }. If provided, only messages signed by a trusted publisher are handled and the publisher id is passed to the listener after the `rinfo` argument
+ * @cfg {Number} [opts.replayWindow = 30000] The max age (in ms) of an encrypted message: older or already received messages are dropped
+ * @cfg {Function} opts.onError The function called with the reported error (e.g. a tampered, replayed or undecodable message, a listener that threw or a socket error). The error is also emitted as local 'error' event
+ * @cfg {Number} [opts.ttl = 64] The number of IP hops that a packet is allowed to go through
+ * @cfg {String} opts.interface If not specified, every listener will add membership to all valid interfaces. The interface must be a valid multicast address (from 224.0.0.1 to 239.255.255.254). Using IPv6 it is an IPv6 address of the NIC
+ * @cfg {String/Array} opts.interfaces Set 'all' to join the group on every non-internal NIC or an Array with the addresses of the NICs. The interfaces are scanned periodically to join the group on the new NICs and leave it on the removed NICs, and the duplicated datagrams received by more NICs are dropped. The messages are sent using `opts.interface` (or the interface chosen by the OS)
+ * @cfg {Number} [opts.interfaceScan = 5000] The interval (in ms) between the scans of the interfaces
+ * @cfg {Number} [opts.dedupWindow = 2000] The time (in ms) to remember a received datagram to drop its duplicates
+ * @cfg {String/String[]} opts.allowSources The IPs or CIDRs of the sources allowed to send the datagrams: the datagrams of the other sources are dropped before they are decoded. If all allowed sources are IPs the receivers join only them using the source-specific multicast (if the transport supports it)
+ * @cfg {String/String[]} opts.denySources The IPs or CIDRs of the sources whose datagrams are dropped before they are decoded
+ * @cfg {Boolean} [opts.loopback = true] When this option is true, multicast packets will also be received on the local interface
+ * @cfg {Boolean} [opts.foreignOnly = false] This option only makes sense when loopback is true. In this case, if foreignOnly is true, the events are handled ONLY by a process other than the one that issued the event (the sender instance of the message identifies the process on its host).
+ * @cfg {Number} [opts.octet = 239] The first octet used for the generated multicast address
+ * @cfg {String} [opts.family = 'ipv4'] Set 'ipv6' to use IPv6 multicast. It is 'ipv6' by default if the group is an IPv6 multicast address
+ * @cfg {Number} [opts.scope = 5] The scope of the generated IPv6 multicast address (ff1X::): 1 interface-local, 2 link-local, 5 site-local, 8 organization-local, 14 global. The interface-local and link-local scopes require the interface
+ * @cfg {Number} [opts.port = 1967] The port used as base for the generated port used for every event message
+ * @cfg {String} [opts.group = 'events'] All events can be grouped into the same multicast domain generated using this option. It can be a string or a valid multicast address.
+ * @cfg {String} [opts.transport = 'dedicated'] Set 'dedicated' to use an UDP port for every event or 'shared' to use a single UDP port for all events of the group. All emitters of a group must use the same transport
+ * @cfg {String/Object} [opts.network = 'udp'] The transport used to create the sockets: 'udp', 'memory' (an in-process bus shared by the emitters of the process), a MemoryTransport or a custom transport with the `createSocket` function
+ * @cfg {Boolean} [opts.reliable = false] Set `true` to deliver the events in order and retransmit the lost events. All emitters of a group must use the same option
+ * @cfg {Number} [opts.retransmitBuffer = 256] The number of sent events of every event kept to retransmit them (and the max number of received events buffered while waiting the missing events)
+ * @cfg {Number} [opts.nackInterval = 100] The interval (in ms) between the requests of the missing events
+ * @cfg {Number} [opts.nackRetries = 3] The number of requests of the missing events before they are lost and the `gap` event is emitted
+ * @cfg {Number} [opts.streamTimeout = 60000] The time (in ms) to remember the sequence of an idle sender emitter
+ * @cfg {Number} [opts.datagramSize = 1200] The max size (in bytes) of a datagram: greater messages are sent in fragments
+ * @cfg {Number} [opts.maxMessageSize = 1048576] The max size (in bytes) of a message sent or received
+ * @cfg {Number} [opts.maxPartialSize = 16777216] The max memory (in bytes) used by the partially received messages: the oldest are dropped when it is exceeded
+ * @cfg {Number} [opts.fragmentTimeout = 5000] The time (in ms) to receive all fragments of a message
+ * @cfg {String/Boolean} [opts.compress = false] The compression of the messages: 'deflate' (or `true`), 'gzip' or 'brotli'. The messages are compressed before the encryption and every emitter decompresses the received messages
+ * @cfg {Number} [opts.compressThreshold = 1024] The min size (in bytes) of a message encoded by the codec to compress it
+ * @cfg {Boolean} [opts.presence = false] Set `true` to announce the emitter to the group and discover its peers
+ * @cfg {Number} [opts.presenceInterval = 1000] The interval (in ms) between the announcements
+ * @cfg {Number} [opts.presenceTimeout = 3 * presenceInterval] The time (in ms) without announcements before a peer is lost and the `peer-leave` event is emitted
+ * @cfg {String} [opts.delimiter = '.'] The delimiter of the segments of an event used to match the patterns
+ * @cfg {Object} opts.events All event correspond to an UDP port; if this port is not free, you can override it using this option: { eventName: portNumber }. It is ignored if the transport is shared
+ * @constructor
+ */
+function EventEmitter(opts) {
+  NodeEventEmitter.call(this);
+  opts = opts || {};
+  this.name = opts.name || 'emitter #' + emitterCounter;  // for debug purpose
+  this.index = emitterCounter;
+  emitterCounter++;
+  this.id = opts.id || id;
+  this.codec = codecs.resolve(opts.codec || 'amp');
+  if (!this.codec) {
+    throw new Error(util.format('%s does not support the codec %s', this.name, util.inspect(opts.codec)));
+  }
+  this.secure = !!opts.secure;
+  this.cipher = opts.cipher || 'aes-256-gcm';
+  if (!ciphers.hasOwnProperty(this.cipher)) {
+    throw new Error(util.format('%s does not support %s as authenticated cipher', this.name, this.cipher));
+  }
+  this.replayWindow = parseInt(opts.replayWindow || replayWindow, 10);
+  if (this.replayWindow <= 0 || isNaN(this.replayWindow)) {
+    throw new Error(util.format('%s must have a positive replay window', this.name));
+  }
+  this.onError = opts.onError;
+  this.keys = {};
+  if (this.secure) {
+    var keys = opts.keys;
+    if (!keys) {
+      keys = {};
+      keys[defaultKey] = opts.secret || 'secret';
+      if (keys[defaultKey] === 'secret') {
+        console.warn('PLEASE change default secret password!');
+      }
+    }
+    Object.keys(keys).forEach(function (keyId) {
+      this.addKey(keyId, keys[keyId]);
+    }.bind(this));
+    var keyIds = Object.keys(this.keys);
+    if (keyIds.length === 0) {
+      throw new Error(util.format('%s requires at least a key', this.name));
+    }
+    if (opts.activeKey === undefined && keyIds.length > 1) {
+      throw new Error(util.format('%s requires the active key when the keyring has more than one key', this.name));
+    }
+    this.setActiveKey(opts.activeKey === undefined ? keyIds[0] : opts.activeKey);
+    this.nonces = {};
+    this.noncesPruned = Date.now();
+  }
+  if (opts.privateKey) {
+    this.privateKey = loadKey(opts.privateKey, true);
+    this.publisher = String(opts.publisher || os.hostname());
+    if (Buffer.byteLength(this.publisher) > 255) {
+      throw new Error(util.format('%s requires a publisher id of max 255 bytes', this.name));
+    }
+  }
+  if (opts.trusted) {
+    this.trusted = {};
+    Object.keys(opts.trusted).forEach(function (publisher) {
+      this.trusted[publisher] = loadKey(opts.trusted[publisher], false);
+    }.bind(this));
+  }
+  this.ttl = parseInt(opts.ttl || ttl, 10);
+  // validate ttl
+  if (this.ttl < ttlMin || this.ttl > ttlMax || isNaN(this.ttl)) {
+    throw new Error(util.format('%s must have %d < ttl < %d', this.name, ttlMin, ttlMax));
+  }
+  this.family = opts.family || (net.isIPv6(opts.group || '') ? 'ipv6' : 'ipv4');
+  if (this.family !== 'ipv4' && this.family !== 'ipv6') {
+    throw new Error(util.format('%s does not support the %s family', this.name, this.family));
+  }
+  this.interface = opts.interface;
+  // validate multicast interface
+  if (this.interface) {
+    var nic = net.isIPv6(this.interface) === (this.family === 'ipv6') && verifyAddress(this.interface);
+    if (!nic) {
+      throw new Error(util.format('%s does not have %s as a valid multicast interface', this.name, this.interface));
+    }
+    // an IPv6 interface is identified by the scope (the name of the NIC)
+    this.zone = this.family === 'ipv6' ? nic : undefined;
+    this.membership = this.zone ? this.interface + '%' + this.zone : this.interface;
+  }
+  this.interfaces = opts.interfaces;
+  if (this.interfaces !== undefined && this.interfaces !== 'all') {
+    if (!Array.isArray(this.interfaces) || this.interfaces.length === 0) {
+      throw new Error(util.format('%s requires \'all\' or an Array of addresses as interfaces', this.name));
+    }
+    this.interfaces.forEach(function (address) {
+      if (!(net.isIPv6(address) === (this.family === 'ipv6') && verifyAddress(address))) {
+        throw new Error(util.format('%s does not have %s as a valid multicast interface', this.name, address));
+      }
+    }.bind(this));
+  }
+  this.interfaceScan = parseInt(opts.interfaceScan || interfaceScan, 10);
+  this.dedupWindow = parseInt(opts.dedupWindow || dedupWindow, 10);
+  if (!(this.interfaceScan > 0 && this.dedupWindow > 0)) {
+    throw new Error(util.format('%s must have positive interface scan and dedup window', this.name));
+  }
+  this.memberships = this.interfaces ? eligibleMemberships.call(this) : [this.membership];
+  this.sources = sourceFilter.call(this, opts.allowSources, opts.denySources);
+  this.seen = {};
+  this.seenPruned = Date.now();
+  if (opts.loopback === undefined || this.loopback === null) {
+    this.loopback = true;
+  } else {
+    // ensure it is boolean
+    this.loopback = !!(opts.loopback);
+  }
+  if (opts.foreignOnly === undefined || this.foreignOnly === null) {
+    this.foreignOnly = false;
+  } else {
+    // ensure it is boolean
+    this.foreignOnly = !!(opts.foreignOnly);
+  }
+  if (!this.loopback && this.foreignOnly) {
+    throw new Error(util.format('%s can\'t listen foreign only events if loopback is false', this.name));
+  }
+  this.octet = opts.octet || octet;
+  if (this.octet < octetMin || this.octet > octetMax) {
+    throw new Error(util.format('%s must have %d < octet < %d as first octet for a valid multicast address', this.name, octetMin, octetMax));
+  }
+  this.port = opts.port || port;
+  if (this.port < portMin || this.port > portMax) {
+    throw new Error(util.format('%s must have %d < port < %d', this.name, portMin, portMax));
+  }
+  this.scope = parseInt(opts.scope || scope, 10);
+  if (this.family === 'ipv6' && (this.scope < scopeMin || this.scope > scopeMax || isNaN(this.scope))) {
+    throw new Error(util.format('%s must have %d < scope < %d as scope for a valid multicast address', this.name, scopeMin, scopeMax));
+  }
+  this.group = opts.group || group;
+  if (isMulticastAddress(this.group)) {
+    if (net.isIPv6(this.group) !== (this.family === 'ipv6')) {
+      throw new Error(util.format('%s can\'t use the group %s with the %s family', this.name, this.group, this.family));
+    }
+    this.address = this.group;
+  } else if (this.family === 'ipv6') {
+    // transient address with the scope: ff1X::/16
+    var digest = crypto.createHash('md5').update(this.group).digest('hex');
+    this.address = util.format('ff1%s::%s:%s', this.scope.toString(16), digest.substr(0, 4), digest.substr(4, 4));
+  } else {
+    var hash = md5(this.group);
+    this.address = [this.octet,
+                    hash.charCodeAt(0),
+                    hash.charCodeAt(1),
+                    (hash.charCodeAt(2) === 0 || hash.charCodeAt(2) === 255 ? 1 : hash.charCodeAt(2))
+                   ].join('.');
+  }
+  // the interface-local and link-local scopes require the interface
+  if (this.family === 'ipv6' && parseInt(this.address.charAt(3), 16) <= 2 && !this.zone) {
+    throw new Error(util.format('%s requires an interface for the group %s', this.name, this.address));
+  }
+  this.network = transports.resolve(opts.network || 'udp');
+  if (!this.network) {
+    throw new Error(util.format('%s does not support the network %s', this.name, util.inspect(opts.network)));
+  }
+  this.transport = opts.transport || 'dedicated';
+  if (this.transport !== 'dedicated' && this.transport !== 'shared') {
+    throw new Error(util.format('%s does not support the %s transport', this.name, this.transport));
+  }
+  this.delimiter = opts.delimiter || '.';
+  this.events = opts.events || {};
+  this.subscriptions = {};
+  this.messageId = 0;
+  this.requests = {};
+  this.locals = {};
+  this.warned = {};
+  this.middlewares = [];
+  this.definitions = {};
+  this.reliable = !!opts.reliable;
+  this.retransmitBuffer = parseInt(opts.retransmitBuffer || retransmitBuffer, 10);
+  this.nackInterval = parseInt(opts.nackInterval || nackInterval, 10);
+  this.nackRetries = parseInt(opts.nackRetries || nackRetries, 10);
+  this.streamTimeout = parseInt(opts.streamTimeout || streamTimeout, 10);
+  if (!(this.retransmitBuffer > 0 && this.nackInterval > 0 && this.nackRetries > 0 && this.streamTimeout > 0)) {
+    throw new Error(util.format('%s must have positive retransmit buffer, nack interval, nack retries and stream timeout', this.name));
+  }
+  this.sequences = {};
+  // the maps with the keys received from the network have no prototype (e.g. a forged "__proto__" event)
+  this.history = Object.create(null);
+  this.streams = Object.create(null);
+  this.streamsPruned = Date.now();
+  this.datagramSize = parseInt(opts.datagramSize || datagramSize, 10);
+  this.maxMessageSize = parseInt(opts.maxMessageSize || maxMessageSize, 10);
+  this.maxPartialSize = parseInt(opts.maxPartialSize || maxPartialSize, 10);
+  this.fragmentTimeout = parseInt(opts.fragmentTimeout || fragmentTimeout, 10);
+  // the datagram must contain the header with the longest event name
+  if (!(this.datagramSize >= 512 && this.maxMessageSize > 0 && this.maxPartialSize > 0 && this.fragmentTimeout > 0)) {
+    throw new Error(util.format('%s must have datagram size >= 512 and positive max message size, max partial size and fragment timeout', this.name));
+  }
+  this.partials = Object.create(null);
+  this.partialSize = 0;
+  this.compress = opts.compress === true ? 'deflate' : opts.compress;
+  if (this.compress && !compressions.hasOwnProperty(this.compress)) {
+    throw new Error(util.format('%s does not support the %s compression', this.name, this.compress));
+  }
+  this.compressThreshold = parseInt(opts.compressThreshold === undefined ? compressThreshold : opts.compressThreshold, 10);
+  if (!(this.compressThreshold >= 0)) {
+    throw new Error(util.format('%s must have a compress threshold not less than 0', this.name));
+  }
+  this.presence = !!opts.presence;
+  this.presenceInterval = parseInt(opts.presenceInterval || presenceInterval, 10);
+  this.presenceTimeout = parseInt(opts.presenceTimeout || 3 * this.presenceInterval, 10);
+  if (!(this.presenceInterval > 0 && this.presenceTimeout > this.presenceInterval)) {
+    throw new Error(util.format('%s must have positive presence interval and presence timeout greater than the interval', this.name));
+  }
+  this.knownPeers = {};
+  this.metrics = metrics.create();
+
+  this.sender = this.network.createSocket({
+    family: this.family,
+    ttl: this.ttl,
+    loopback: this.loopback,
+    multicastInterface: this.zone ? '::%' + this.zone : undefined
+  });
+  this.sender.onError(function (err) {
+    report.call(this, errorTypes.socket, new Error(util.format('%s has encountered a sender error: %s', this.name, err.message)), err);
+  }.bind(this));
+
+  // the replies, the nacks and the retransmissions are sent to the sender socket
+  this.sender.onMessage(function (msg, rinfo) {
+    receive.call(this, undefined, msg, rinfo, true);
+  }.bind(this));
+
+  this.bound = listening(this.sender, undefined, undefined, function() {
+    debug('%s ready to emit event of the group %s', this.name, this.getAddress());
+  }.bind(this));
+  // the events emitted before the emitter is ready
+  this.queue = [];
+  if (this.interfaces) {
+    this.scanTimer = setInterval(scanInterfaces.bind(this), this.interfaceScan);
+  }
+  if (this.presence) {
+    var presence = createReceiver.call(this, presenceEvent);
+    this.presenceReceiver = presence.receiver;
+    this.presenceBound = presence.bound;
+    this.presenceTimer = setInterval(function () {
+      announce.call(this);
+      expirePeers.call(this);
+    }.bind(this), this.presenceInterval);
+    this.ready().then(function () {
+      announce.call(this);
+    }.bind(this), function () {});
+  }
+  debug('%s new event emitter of the group %s', this.name, this.getAddress());
+}
+
+// instances of Node.js EventEmitter for the libraries that expect a standard emitter
+util.inherits(EventEmitter, NodeEventEmitter);
+
+/**
+ * Get current assigned address
+ * @return {String} The address
+ * @private
+ */
+EventEmitter.prototype.getAddress = function getAddress() {
+  return this.address;
+};
+
+/**
+ * Add a key to the keyring. Messages encrypted with this key are accepted as soon as it is added.
+ * @param {String} keyId The key id (max 255 bytes)
+ * @param {String} secret The shared secret password of the key
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.addKey = function addKey(keyId, secret) {
+  if (!(keyId && secret)) {
+    throw new Error(util.format('%s requires a key id and a secret', this.name));
+  }
+  keyId = String(keyId);
+  if (Buffer.byteLength(keyId) > 255) {
+    throw new Error(util.format('%s requires a key id of max 255 bytes', this.name));
+  }
+  this.keys[keyId] = deriveKey(secret, this.id, ciphers[this.cipher]);
+  debug('%s add key "%s"', this.name, keyId);
+  return this;
+};
+
+/**
+ * Remove a key from the keyring. Messages encrypted with this key are dropped.
+ * @param {String} keyId The key id
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.removeKey = function removeKey(keyId) {
+  keyId = String(keyId);
+  if (keyId === this.activeKey) {
+    throw new Error(util.format('%s can\'t remove the active key "%s"', this.name, keyId));
+  }
+  delete this.keys[keyId];
+  debug('%s remove key "%s"', this.name, keyId);
+  return this;
+};
+
+/**
+ * Set the key used to encrypt the messages
+ * @param {String} keyId The key id: the key must be into the keyring
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.setActiveKey = function setActiveKey(keyId) {
+  keyId = String(keyId);
+  if (!this.keys.hasOwnProperty(keyId)) {
+    throw new Error(util.format('%s does not have the key "%s"', this.name, keyId));
+  }
+  this.activeKey = keyId;
+  debug('%s set active key "%s"', this.name, keyId);
+  return this;
+};
+
+/**
+ * Get the port for the event. If the event does not have an UDP port, a new value is assigned.
+ * If the transport is shared, all events have the same port.
+ * @method getPort
+ * @param {String} event The event
+ * @return {Number} The UDP port
+ * @private
+ */
+// max 32767 ports generated
+EventEmitter.prototype.getPort = function getPort(event) {
+  if (!event) {
+    throw new Error(util.format('%s requires an event', this.name));
+  }
+  if (Buffer.byteLength(event) > 255) {
+    throw new Error(util.format('%s requires an event name of max 255 bytes', this.name));
+  }
+  if (this.transport === 'shared') {
+    return generatePort.call(this);
+  }
+  if (this.events.hasOwnProperty(event)) {
+    return this.events[event];
+  }
+  this.events[event] = generatePort.call(this, event);
+  return this.events[event];
+};
+
+/**
+ * Get the id of the emitter: the `id` of the peers and the `peer` property of the `rinfo` argument of the listeners
+ * identify the emitter that has emitted an event
+ * @return {String} The id
+ */
+EventEmitter.prototype.getPeerId = function getPeerId() {
+  return instance + ':' + this.index;
+};
+
+/**
+ * Verify if an event matches an event or a pattern
+ * @param {String} pattern The event or the pattern
+ * @param {String} event The event
+ * @return {Boolean} True if the event matches
+ */
+EventEmitter.prototype.matches = function matches(pattern, event) {
+  return pattern === event ||
+    (isPattern.call(this, pattern) && matchSegments(pattern.split(this.delimiter), event.split(this.delimiter)));
+};
+
+/**
+ * Verify if an event can be emitted to the group: it is not a local or a reserved event nor a pattern and its
+ * name has max 255 bytes
+ * @param {String} event The event
+ * @return {Boolean} True if the event can be emitted
+ * @private
+ */
+EventEmitter.prototype.isEmittable = function isEmittable(event) {
+  return typeof event === 'string' && event !== '' && Buffer.byteLength(event) <= 255 &&
+    !isLocal(event) && event !== presenceEvent && !isPattern.call(this, event);
+};
+
+/**
+ * Verify if the event has a receiver
+ * @param {String} event The event
+ * @return {Boolean} True if the event has a receiver
+ * @private
+ */
+EventEmitter.prototype.hasReceiver = function hasReceiver(event) {
+  if (!event) {
+    throw new Error(util.format('%s requires an event', this.name));
+  }
+  return this.subscriptions.hasOwnProperty(event) &&
+    this.subscriptions[event].hasOwnProperty('receiver');
+};
+
+/**
+ * Verify if the event has at least one listener
+ * @param {String} event The event
+ * @return {Boolean} True if the event has at least one listener
+ */
+EventEmitter.prototype.hasListeners = function hasListeners(event) {
+  if (!event) {
+    throw new Error(util.format('%s requires an event', this.name));
+  }
+  if (isLocal(event)) {
+    return this.locals.hasOwnProperty(event) && this.locals[event].length > 0;
+  }
+  return this.subscriptions.hasOwnProperty(event) &&
+    this.subscriptions[event].hasOwnProperty('receiver') &&
+    this.subscriptions[event].hasOwnProperty('handlers') &&
+    this.subscriptions[event].handlers.length > 0;
+};
+
+/**
+ * Verify if exist an event with the specified UDP port
+ * @param {String} event The event
+ * @param {Number} port The UDP port
+ * @return {String} The already registered event with the specified UDP port or undefined if the UDP port is not assigned to another event
+ * @private
+ */
+EventEmitter.prototype.hasEventWithPort = function hasEventWithPort(event, port) {
+  if (!port) {
+    port = generatePort.call(this, event);
+  }
+  var prp;
+  for (prp in this.events) {
+    if (this.events.hasOwnProperty(prp)) {
+      if (this.events[prp] === port) {
+        return prp;
+      }
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Verify if exist an event with the specified UDP port and at least one listener
+ * @param {String} event The event
+ * @param {Number} port The UDP port
+ * @return {String} The already registered event with the specified UDP port if it has at least a listener or undefined if the UDP port is not assigned to another event
+ * @private
+ */
+EventEmitter.prototype.fullDefined = function fullDefined(event, port) {
+  if (this.hasReceiver(event) && this.hasListeners(event)) {
+    return this.hasEventWithPort(event, port);
+  }
+  return null;
+};
+
+/**
+ * Warn once for every event when its listeners exceed the max listeners (a possible memory leak)
+ * @param {String} event The event
+ * @param {Number} count The number of listeners of the event
+ * @ignore
+ */
+function checkMaxListeners(event, count) {
+  var max = this.getMaxListeners();
+  if (max > 0 && count > max && !this.warned[event]) {
+    this.warned[event] = true;
+    process.emitWarning(util.format('Possible EventEmitter memory leak detected. %d "%s" listeners added to %s. Use setMaxListeners() to increase limit', count, event, this.name), 'MaxListenersExceededWarning');
+  }
+}
+
+/**
+ * Add a listener at the end (or at the beginning) of the listeners of the event
+ * @param {String} event The event or a pattern
+ * @param {Function} listener The listener
+ * @param {Boolean} [prepend = false] True to add the listener at the beginning
+ * @return {EventEmitter}
+ * @ignore
+ */
+function addHandler(event, listener, prepend) {
+  if (!event) {
+    throw new Error(util.format('%s requires an event', this.name));
+  }
+  if (typeof listener !== 'function') {
+    throw new Error(util.format('%s requires a function as listener of "%s"', this.name, event));
+  }
+  var local = isLocal(event);
+  if (!local && isPattern.call(this, event) && this.transport !== 'shared') {
+    throw new Error(util.format('%s requires the shared transport to listen the pattern "%s"', this.name, event));
+  }
+  // the meta-event is emitted before adding the listener
+  emitLocal.call(this, 'newListener', event, listener.listener || listener);
+  var handlers;
+  if (local) {
+    handlers = this.locals[event] = this.locals[event] || [];
+    debug('%s add listener for the local "%s" event', this.name, event);
+  } else {
+    ensureReceiver.call(this, event);
+    handlers = this.subscriptions[event].handlers;
+    var source = listener.toString();
+    if (source.length > 30) {
+      source = source.replace(/\n\s+/gi, ' ').substr(0, 30) + '\u2026';
+    }
+    debug('%s add listener (%o) for "%s" event to %s:%d', this.name, source, event, this.getAddress(), this.getPort(event));
+  }
+  if (prepend) {
+    handlers.unshift(listener);
+  } else {
+    handlers.push(listener);
+  }
+  checkMaxListeners.call(this, event, handlers.length);
+  return this;
+}
+
+/**
+ * Wrap a listener to remove it after the first call. The wrapper can be removed using the listener.
+ * @param {String} event The event
+ * @param {Function} listener The listener
+ * @return {Function} The wrapper
+ * @ignore
+ */
+function onceWrapper(event, listener) {
+  if (typeof listener !== 'function') {
+    throw new Error(util.format('%s requires a function as listener of "%s"', this.name, event));
+  }
+  var self = this;
+  function wrapper() {
+    self.removeListener(event, wrapper);
+    return listener.apply(this, arguments);
+  }
+  wrapper.listener = listener;
+  return wrapper;
+}
+
+/**
+ * Add a listener for the specified event. If the transport is shared, the event can be a pattern where
+ * every segment (separated by the delimiter) can be `*` to match exactly one segment or `**` to match
+ * zero or more segments (e.g. `order.*` or `**`). The `newListener` local event is emitted before adding the listener.
+ * @param {String} event The event or a pattern
+ * @param {Function} listener The function to call when the event occurs
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.addListener = function addListener(event, listener) {
+  return addHandler.call(this, event, listener);
+};
 
 /**
  * Alias for addListener
@@ -415,6 +2447,27 @@ EventEmitter.prototype.addListener = function addListener(event, listener) {
  */
 EventEmitter.prototype.on = EventEmitter.prototype.addListener;
 
+/**
+ * Add a listener at the beginning of the listeners of the specified event
+ * @param {String} event The event or a pattern
+ * @param {Function} listener The function to call when the event occurs
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.prependListener = function prependListener(event, listener) {
+  return addHandler.call(this, event, listener, true);
+};
+
+/**
+ * Add a listener for all events of the group. It requires the shared transport.
+ * @param {Function} listener The function to call when any event occurs
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.onAny = function onAny(listener) {
+  return this.addListener('**', listener);
+};
+
 /**
  * Add a listener for the specified event but remove it after the first call
  * @param {String} event The event
@@ -423,19 +2476,25 @@ EventEmitter.prototype.on = EventEmitter.prototype.addListener;
  * @chainable
  */
 EventEmitter.prototype.once = function once(event, listener) {
-  var self = this;
-  function onceListener() {
-    self.removeListener(event, onceListener);
-    listener.apply(undefined, arguments);
-  }
-  this.addListener(event, onceListener);
-  return this;
+  return addHandler.call(this, event, onceWrapper.call(this, event, listener));
+};
+
+/**
+ * Add a listener at the beginning of the listeners of the specified event but remove it after the first call
+ * @param {String} event The event
+ * @param {Function} listener The function to call when the event occurs
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.prependOnceListener = function prependOnceListener(event, listener) {
+  return addHandler.call(this, event, onceWrapper.call(this, event, listener), true);
 };
 
 /**
- * Remove the listener for the specified event
+ * Remove the listener for the specified event. If the listener was added more than once, only the last added
+ * is removed. The `removeListener` local event is emitted after removing the listener.
  * @param {String} event The event
- * @param {Function} listener The function to remove when the event occurs
+ * @param {Function} listener The function to remove when the event occurs (or the function added using once)
  * @return {EventEmitter}
  * @chainable
  */
@@ -443,27 +2502,24 @@ EventEmitter.prototype.removeListener = function removeListener(event, listener)
   if (!(event && listener)) {
     throw new Error(util.format('%s requires an event and a listener', this.name));
   }
-  if (this.hasListeners(event)) {
-    var i, match = false;
-    var handlers = this.listeners[event].handlers;
-    for (i = handlers.length - 1; i >= 0; i--) {
-      if (handlers[i].toString() === listener.toString()) {
-        handlers.splice(i, 1);
-        debug('%s remove listener for "%s" at %s:%d', this.name, event, this.getAddress(), this.getPort(event));
-        if (handlers.length === 0) {
-          var receiver = this.listeners[event].receiver;
-          receiver.dropMembership(this.getAddress(), this.interface);
-          receiver.close();
-          delete this.listeners[event];
-          debug('%s has no more listeners for "%s" at %s:%d: closed receiver', this.name, event, this.getAddress(), this.getPort(event));
-        }
-        match = true;
-      }
-    }
-    if (!match) {
-      debug('%s has no listener to remove for "%s" at %s:%d', this.name, event, this.getAddress(), this.getPort(event));
-    }
+  var local = isLocal(event);
+  var handlers = local ? this.locals[event] : this.subscriptions[event] && this.subscriptions[event].handlers;
+  var i = handlers ? handlers.length - 1 : -1;
+  while (i >= 0 && handlers[i] !== listener && handlers[i].listener !== listener) {
+    i--;
+  }
+  if (i < 0) {
+    debug('%s has no listener to remove for "%s"', this.name, event);
+    return this;
+  }
+  handlers.splice(i, 1);
+  if (local) {
+    debug('%s remove listener for the local "%s" event', this.name, event);
+  } else {
+    debug('%s remove listener for "%s" at %s:%d', this.name, event, this.getAddress(), this.getPort(event));
+    releaseReceiver.call(this, event);
   }
+  emitLocal.call(this, 'removeListener', event, listener.listener || listener);
   return this;
 };
 
@@ -475,6 +2531,16 @@ EventEmitter.prototype.removeListener = function removeListener(event, listener)
  */
 EventEmitter.prototype.off = EventEmitter.prototype.removeListener;
 
+/**
+ * Remove a listener added using onAny
+ * @param {Function} listener The function to remove
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.offAny = function offAny(listener) {
+  return this.removeListener('**', listener);
+};
+
 /**
  * Remove all listener or only all listeners for the event if specified
  * @param {String} [event] The event
@@ -483,42 +2549,751 @@ EventEmitter.prototype.off = EventEmitter.prototype.removeListener;
  */
 EventEmitter.prototype.removeAllListeners = function removeAllListeners(event) {
   if (event) {
-    while (this.hasListeners(event)) {
-      this.removeListener(event, this.listeners[event].handlers[0]);
+    var handlers = this.rawListeners(event);
+    var i;
+    for (i = handlers.length - 1; i >= 0; i--) {
+      this.removeListener(event, handlers[i]);
     }
   } else {
-    var events = Object.keys(this.listeners);
-    events.forEach(function (event) {
-      this.removeAllListeners(event);
+    // the listeners of the meta-event are the last to be removed
+    this.eventNames().forEach(function (name) {
+      if (name !== 'removeListener') {
+        this.removeAllListeners(name);
+      }
     }.bind(this));
+    this.removeAllListeners('removeListener');
   }
   return this;
 };
 
-function _emit(event) {
-  var args = [].slice.call(arguments);
-  var message = msgpack.pack(args);
-  var encryptedMessage = encrypt.call(this, message);
-  // concat pid
-  var pid, data;
-  if (this.foreignOnly) {
-    pid = new Buffer('@' + (process.pid).toString() + ':');
-    data = Buffer.concat([pid, encryptedMessage]);
+/**
+ * Get the listeners of the event (the functions added using once are returned instead of their wrappers)
+ * @param {String} event The event
+ * @return {Function[]} A copy of the listeners
+ */
+EventEmitter.prototype.listeners = function listeners(event) {
+  return this.rawListeners(event).map(function (handler) {
+    return handler.listener || handler;
+  });
+};
+
+/**
+ * Get the listeners of the event including the wrappers of the functions added using once
+ * @param {String} event The event
+ * @return {Function[]} A copy of the listeners
+ */
+EventEmitter.prototype.rawListeners = function rawListeners(event) {
+  if (isLocal(event)) {
+    return (this.locals[event] || []).slice();
+  }
+  return this.subscriptions.hasOwnProperty(event) ? this.subscriptions[event].handlers.slice() : [];
+};
+
+/**
+ * Get the number of listeners of the event
+ * @param {String} event The event
+ * @param {Function} [listener] Count only this listener
+ * @return {Number} The number of listeners
+ */
+EventEmitter.prototype.listenerCount = function listenerCount(event, listener) {
+  var handlers = this.listeners(event);
+  if (listener) {
+    handlers = handlers.filter(function (handler) {
+      return handler === listener;
+    });
+  }
+  return handlers.length;
+};
+
+/**
+ * Get the events (and the patterns) with at least one listener
+ * @return {String[]} The events
+ */
+EventEmitter.prototype.eventNames = function eventNames() {
+  var names = Object.keys(this.locals).filter(function (event) {
+    return this.locals[event].length > 0;
+  }.bind(this));
+  return names.concat(Object.keys(this.subscriptions).filter(function (event) {
+    return this.subscriptions[event].handlers.length > 0;
+  }.bind(this)));
+};
+
+/**
+ * Set the max number of listeners of every event before a warning (a possible memory leak)
+ * @param {Number} n The max number of listeners or 0 (or Infinity) for no limit
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.setMaxListeners = function setMaxListeners(n) {
+  if (typeof n !== 'number' || n < 0 || isNaN(n)) {
+    throw new Error(util.format('%s requires a non-negative number of max listeners', this.name));
+  }
+  this.maxListeners = n;
+  return this;
+};
+
+/**
+ * Get the max number of listeners of every event before a warning
+ * @return {Number} The max number of listeners (by default `events.defaultMaxListeners`)
+ */
+EventEmitter.prototype.getMaxListeners = function getMaxListeners() {
+  return this.maxListeners === undefined ? NodeEventEmitter.defaultMaxListeners : this.maxListeners;
+};
+
+/**
+ * Send a message using the sender socket
+ * @param {String} event The event
+ * @param {Array} args The arguments of the event
+ * @param {Number} type The type of the message
+ * @param {Number} port The destination port
+ * @param {String} address The destination address
+ * @param {Number} [sequence] The sequence number of the event if the message is reliable
+ * @param {Function} [callback] The function called with an error (or without arguments) when all datagrams are sent
+ * @return {Array} The sent datagrams
+ * @ignore
+ */
+function send(event, args, type, port, address, sequence, callback) {
+  callback = callback || function () {};
+  if (this.closed) {
+    debug('%s is closed: "%s" not sent', this.name, event);
+    callback(new Error(util.format('%s is closed: can\'t send "%s"', this.name, event)));
+    return [];
+  }
+  var message, err;
+  try {
+    message = this.codec.encode(args);
+  } catch (e) {
+    err = new Error(util.format('%s was unable to encode "%s": %s', this.name, event, e.message));
+    report.call(this, errorTypes.encode, err, e);
+    callback(err);
+    return [];
+  }
+  if (message.length > this.maxMessageSize) {
+    err = new Error(util.format('%s can\'t send "%s" because the message is greater than %d bytes', this.name, event, this.maxMessageSize));
+    report.call(this, errorTypes.encode, err);
+    callback(err);
+    return [];
+  }
+  // the message is compressed before the encryption
+  var compressed = compress.call(this, message);
+  message = compressed || message;
+  var header = createHeader.call(this, type, (this.secure ? flags.encrypted : 0) | (this.privateKey ? flags.signed : 0) |
+    (compressed ? flags.compressed : 0), event, sequence);
+  var datagrams = fragment.call(this, header, sign.call(this, encrypt.call(this, message, header), header));
+  if (!datagrams) {
+    err = new Error(util.format('%s can\'t send "%s" because the message needs more than 65535 fragments of %d bytes', this.name, event, this.datagramSize));
+    report.call(this, errorTypes.encode, err);
+    callback(err);
+    return [];
+  }
+  var remaining = datagrams.length;
+  metrics.record(this.metrics, event, 'sent');
+  datagrams.forEach(function (data) {
+    metrics.record(this.metrics, event, 'sentBytes', data.length);
+  }.bind(this));
+  datagrams.forEach(function (data) {
+    this.sender.send(data, port, address, function (e) {
+      if (remaining === 0) {
+        // the error of a previous datagram is already notified
+        return;
+      }
+      if (e) {
+        remaining = 0;
+        err = new Error(util.format('%s was unable to send "%s": %s', this.name, event, e.message));
+        report.call(this, errorTypes.socket, err, e);
+        callback(err);
+      } else if (--remaining === 0) {
+        callback();
+      }
+    }.bind(this));
+  }.bind(this));
+  return datagrams;
+}
+
+/**
+ * Validate an event before an asynchronous send
+ * @param {String} event The event
+ * @ignore
+ */
+function validateEvent(event) {
+  if (isLocal(event)) {
+    throw new Error(util.format('%s can\'t send the local event "%s"', this.name, event));
+  }
+  if (event === presenceEvent) {
+    throw new Error(util.format('%s can\'t send the reserved event "%s"', this.name, event));
+  }
+  this.getPort(event);
+  if (isPattern.call(this, event)) {
+    throw new Error(util.format('%s can\'t emit the pattern "%s"', this.name, event));
+  }
+}
+
+/**
+ * Run the middlewares in order until a middleware vetoes the message
+ * @param {Object} message The message with the `direction` ('outbound' or 'inbound'), the `event`, the `args`
+ * (a middleware can modify or replace them) and the `rinfo` of an inbound message
+ * @return {Boolean} False if a middleware has vetoed the message
+ * @ignore
+ */
+function runMiddlewares(message) {
+  return this.middlewares.every(function (middleware) {
+    return middleware.call(this, message) !== false;
+  }.bind(this));
+}
+
+/**
+ * Validate the arguments of an event with the definitions that match the event
+ * @param {String} event The event
+ * @param {Array} args The arguments of the event
+ * @return {String} The reason why the arguments are invalid or undefined if they are valid
+ * @ignore
+ */
+function invalidArguments(event, args) {
+  var names = Object.keys(this.definitions);
+  var i, valid;
+  for (i = 0; i < names.length; i++) {
+    if (this.matches(names[i], event) && this.definitions[names[i]].validate) {
+      try {
+        valid = this.definitions[names[i]].validate.apply(this, args);
+      } catch (err) {
+        return err.message;
+      }
+      if (valid === false) {
+        return util.format('rejected by the definition of "%s"', names[i]);
+      }
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Send an event to the group
+ * @param {String} event The event
+ * @param {Array} args The arguments of the event
+ * @param {Function} callback The function called with an error (or without arguments) when the event is sent
+ * @ignore
+ */
+function _emit(event, args, callback) {
+  if (this.reliable) {
+    // keep the last events to retransmit them on nack
+    var sequence = this.sequences[event] || 0;
+    var history = this.history[event] = this.history[event] || Object.create(null);
+    history[sequence] = send.call(this, event, args, types.event, this.getPort(event), this.getAddress(), sequence, callback);
+    delete history[(sequence - this.retransmitBuffer) >>> 0];
+    this.sequences[event] = (sequence + 1) >>> 0;
   } else {
-    data = encryptedMessage;
+    send.call(this, event, args, types.event, this.getPort(event), this.getAddress(), undefined, callback);
   }
-  this.sender.send(data, 0, data.length, this.getPort(event), this.getAddress());
-  // remove event name for debug pourpose only
-  args.shift();
   debug('%s emit "%s" to %s:%d with arguments %o', this.name, event, this.getAddress(), this.getPort(event), args);
 }
 
+/**
+ * Send the events emitted before the emitter was ready
+ * @ignore
+ */
+function flushQueue() {
+  var queue = this.queue;
+  this.queue = [];
+  queue.forEach(function (item) {
+    // an error thrown while sending rejects the emitted event (the queue is flushed inside a promise callback)
+    try {
+      _emit.call(this, item.event, item.args, item.callback);
+    } catch (err) {
+      item.callback(err);
+    }
+  }.bind(this));
+}
+
+/**
+ * Emit the event to the group or call the listeners of a local event. As Node.js EventEmitter the `error`
+ * local event is thrown if it has no listeners.
+ * @param {String} event The event
+ * @param {Mixed...} [args] The arguments of the event
+ * @return {Boolean/Promise} True if a local event has listeners or, for the events of the group, a promise
+ * resolved when all datagrams of the event are sent and rejected if the event can't be sent (e.g. a pattern,
+ * a reserved event, an event vetoed by a middleware or with invalid arguments)
+ */
 EventEmitter.prototype.emit = function emit(event) {
   var args = [].slice.call(arguments);
-  // process on next tick because the socket bind is asynchronous
-  process.nextTick(function() {
-    _emit.apply(this, args);
+  if (isLocal(event)) {
+    if (event === 'error' && !this.hasListeners(event)) {
+      // as Node.js EventEmitter an error without listeners is thrown
+      throw args[1] instanceof Error ? args[1] : new Error(util.format('%s has an unhandled error: %s', this.name, args[1]));
+    }
+    return emitLocal.apply(this, args);
+  }
+  var sent;
+  if (this.closing) {
+    sent = Promise.reject(new Error(util.format('%s is closed: can\'t emit "%s"', this.name, event)));
+    sent.catch(function () {});
+    return sent;
+  }
+  try {
+    // validate the event before the asynchronous send
+    validateEvent.call(this, event);
+    args = outbound.call(this, 'event', event, args.slice(1));
+  } catch (err) {
+    // an invalid event, a vetoed event or invalid arguments
+    sent = Promise.reject(err);
+    sent.catch(function () {});
+    return sent;
+  }
+  sent = new Promise(function (resolve, reject) {
+    this.queue.push({
+      event: event,
+      args: args,
+      callback: function (err) {
+        if (err) {
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    });
+  }.bind(this));
+  if (this.queue.length === 1) {
+    // the events are sent in order when the sender and the receivers are bound (or have failed)
+    this.ready().then(flushQueue.bind(this), flushQueue.bind(this));
+  }
+  // the send errors are reported, so an ignored promise must not be an unhandled rejection
+  sent.catch(function () {});
+  return sent;
+};
+
+/**
+ * Send a request to the responders of the event. The last argument is always used as options if it is a plain Object
+ * (not an Array, a Buffer or a Date), so if the last argument of the request is a plain Object you must add the
+ * options (even empty).
+ *
+ * The reply of every responder is sent only to the requester. Using `expect: 'first'` the promise is resolved
+ * with the result of the first reply or rejected if the first reply is an error. Using `expect: 'all'` the promise
+ * is resolved after the timeout with all replies: every reply is an Object with `address`, `port`, `publisher`,
+ * `error` (null if the responder has not failed) and `result` properties.
+ * If no reply is received, the promise is rejected with an `ETIMEDOUT` error.
+ *
+ * @param {String} event The event
+ * @param {Mixed...} [args] The arguments of the request
+ * @param {Object} [options] The options
+ * @param {Number} [options.timeout = 1000] The time (in ms) to wait the replies
+ * @param {String} [options.expect = 'first'] Set 'first' to wait the first reply or 'all' to wait all replies until the timeout
+ * @return {Promise} The result of the first reply or all replies
+ */
+EventEmitter.prototype.request = function request(event) {
+  var args = [].slice.call(arguments, 1);
+  var last = args[args.length - 1];
+  var options = (typeof last === 'object' && last !== null && Object.getPrototypeOf(last) === Object.prototype) ? args.pop() : {};
+  var timeout = parseInt(options.timeout || requestTimeout, 10);
+  var expect = options.expect || 'first';
+  if (expect !== 'first' && expect !== 'all') {
+    throw new Error(util.format('%s can\'t expect "%s" replies', this.name, expect));
+  }
+  if (this.closing) {
+    return Promise.reject(new Error(util.format('%s is closed: can\'t request "%s"', this.name, event)));
+  }
+  try {
+    validateEvent.call(this, event);
+    args = outbound.call(this, 'request', event, args);
+  } catch (err) {
+    // an invalid event, a vetoed request or invalid arguments
+    return Promise.reject(err);
+  }
+  var ready = this.ready().catch(function () {});
+  return new Promise(function (resolve, reject) {
+    ready.then(function () {
+      if (this.closed) {
+        reject(new Error(util.format('%s is closed: can\'t request "%s"', this.name, event)));
+        return;
+      }
+      var messageId = this.messageId;
+      this.requests[messageId] = {
+        event: event,
+        expect: expect,
+        timeout: timeout,
+        replies: [],
+        resolve: resolve,
+        reject: reject,
+        timer: setTimeout(function () {
+          settleRequest.call(this, messageId);
+        }.bind(this), timeout)
+      };
+      var fail = function (err) {
+        if (this.requests.hasOwnProperty(messageId)) {
+          clearTimeout(this.requests[messageId].timer);
+          delete this.requests[messageId];
+          reject(err);
+        }
+      }.bind(this);
+      try {
+        send.call(this, event, args, types.request, this.getPort(event), this.getAddress(), undefined, function (err) {
+          if (err) {
+            fail(err);
+          }
+        });
+      } catch (err) {
+        fail(err);
+        return;
+      }
+      debug('%s request "%s" to %s:%d with arguments %o', this.name, event, this.getAddress(), this.getPort(event), args);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Set the responder of the event. The responder is called with the arguments of the request (and the `rinfo`
+ * argument as a listener) and its result (or the result of the returned promise) is sent to the requester.
+ * Every event has at most one responder for every emitter.
+ * @param {String} event The event
+ * @param {Function} responder The function called for every request
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.respond = function respond(event, responder) {
+  if (!(event && responder)) {
+    throw new Error(util.format('%s requires an event and a responder', this.name));
+  }
+  if (isPattern.call(this, event)) {
+    throw new Error(util.format('%s can\'t respond to the pattern "%s"', this.name, event));
+  }
+  ensureReceiver.call(this, event);
+  this.subscriptions[event].responder = responder;
+  debug('%s add responder for "%s" event to %s:%d', this.name, event, this.getAddress(), this.getPort(event));
+  return this;
+};
+
+/**
+ * Remove the responder of the event
+ * @param {String} event The event
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.removeResponder = function removeResponder(event) {
+  if (this.subscriptions.hasOwnProperty(event) && this.subscriptions[event].responder) {
+    delete this.subscriptions[event].responder;
+    debug('%s remove responder for "%s" at %s:%d', this.name, event, this.getAddress(), this.getPort(event));
+    releaseReceiver.call(this, event);
+  }
+  return this;
+};
+
+/**
+ * Add a middleware called with every emitted event or request (before it is encoded) and every received event or
+ * request (before its listeners or its responder). The middleware is called with a message with the `direction`
+ * ('outbound' or 'inbound'), the `type` ('event' or 'request'), the `event`, the `args` and the `rinfo` of an
+ * inbound message: it can modify or replace the `args` (e.g. to add a tracing id) and it can veto the message
+ * returning false. The middlewares are called in order.
+ * @param {Function} middleware The middleware
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.use = function use(middleware) {
+  if (typeof middleware !== 'function') {
+    throw new Error(util.format('%s requires a function as middleware', this.name));
+  }
+  this.middlewares.push(middleware);
+  return this;
+};
+
+/**
+ * Define an event (or a pattern) with the validation of its arguments and the sources allowed to send it.
+ * An emitted event (or request) with invalid arguments is rejected and a received event (or request) with invalid
+ * arguments is dropped and reported as `validation` error. The datagrams of the sources not allowed are dropped before they are decoded.
+ * An event must be defined before its listeners are added to join only its allowed sources.
+ * @param {String} event The event or a pattern
+ * @param {Object} definition The definition
+ * @param {Function} [definition.validate] The function called with the arguments of the event: the arguments are
+ * invalid if it returns false or throws (its error message is the reason)
+ * @param {String/String[]} [definition.allowSources] The IPs or CIDRs of the sources allowed to send the event
+ * @param {String/String[]} [definition.denySources] The IPs or CIDRs of the sources denied to send the event
+ * @return {EventEmitter}
+ * @chainable
+ */
+EventEmitter.prototype.defineEvent = function defineEvent(event, definition) {
+  if (!(event && definition && (typeof definition.validate === 'function' ||
+      (definition.validate === undefined && (definition.allowSources || definition.denySources))))) {
+    throw new Error(util.format('%s requires an event and a definition with the validate function or the sources', this.name));
+  }
+  this.definitions[event] = {
+    validate: definition.validate,
+    sources: sourceFilter.call(this, definition.allowSources, definition.denySources)
+  };
+  return this;
+};
+
+/**
+ * Wait for the next occurrence of the event
+ * @param {String} event The event, a pattern or a local event
+ * @param {Object} [options] The options
+ * @param {Number} [options.timeout] The time (in ms) to wait the event. If not specified, wait forever
+ * @param {Function} [options.filter] The function called with the arguments of the event: the events for which
+ * it returns false are ignored
+ * @return {Promise} Resolved with the Array of the arguments of the event (as the listener) or rejected with
+ * an `ETIMEDOUT` error (or the error thrown by the filter)
+ */
+EventEmitter.prototype.waitFor = function waitFor(event, options) {
+  options = options || {};
+  var filter = options.filter;
+  var timeout = parseInt(options.timeout, 10);
+  var self = this;
+  return new Promise(function (resolve, reject) {
+    var timer;
+    function listener() {
+      var args = [].slice.call(arguments);
+      try {
+        if (filter && !filter.apply(undefined, args)) {
+          return;
+        }
+      } catch (err) {
+        settle();
+        reject(err);
+        return;
+      }
+      settle();
+      resolve(args);
+    }
+    function settle() {
+      clearTimeout(timer);
+      self.removeListener(event, listener);
+    }
+    self.addListener(event, listener);
+    if (timeout > 0) {
+      timer = setTimeout(function () {
+        settle();
+        var err = new Error(util.format('%s has not received "%s" within %d ms', self.name, event, timeout));
+        err.code = 'ETIMEDOUT';
+        reject(err);
+      }, timeout);
+    }
+  });
+};
+
+/**
+ * Iterate the occurrences of the event using `for await`: every value is the Array of the arguments of the event
+ * (as the listener). The events received while the consumer is busy are buffered: when the buffer is full,
+ * the overflow policy drops the oldest event (`drop-oldest`), drops the received event (`drop-newest`) or stops
+ * the iteration with an `EOVERFLOW` error (`error`). The listener is removed when the iteration ends.
+ * @param {String} event The event, a pattern or a local event
+ * @param {Object} [options] The options
+ * @param {Number} [options.highWaterMark = 100] The max number of buffered events
+ * @param {String} [options.overflow = 'drop-oldest'] The overflow policy: 'drop-oldest', 'drop-newest' or 'error'
+ * @return {Object} The async iterator
+ */
+EventEmitter.prototype.iterate = function iterate(event, options) {
+  options = options || {};
+  var highWaterMark = parseInt(options.highWaterMark || iterateBuffer, 10);
+  var overflow = options.overflow || 'drop-oldest';
+  if (!(highWaterMark > 0) || overflowPolicies.indexOf(overflow) === -1) {
+    throw new Error(util.format('%s requires a positive high water mark and an overflow policy of %s', this.name, overflowPolicies.join(', ')));
+  }
+  var self = this;
+  var buffer = [];
+  var consumers = [];
+  var failure;
+  var done = false;
+  function finish() {
+    done = true;
+    self.removeListener(event, listener);
+    consumers.splice(0).forEach(function (consumer) {
+      if (failure) {
+        consumer.reject(failure);
+      } else {
+        consumer.resolve({ value: undefined, done: true });
+      }
+    });
+  }
+  function listener() {
+    var args = [].slice.call(arguments);
+    if (consumers.length > 0) {
+      consumers.shift().resolve({ value: args, done: false });
+      return;
+    }
+    if (buffer.length < highWaterMark) {
+      buffer.push(args);
+      return;
+    }
+    debug('%s has a full buffer for "%s": %s', self.name, event, overflow);
+    switch (overflow) {
+      case 'drop-oldest':
+        buffer.shift();
+        buffer.push(args);
+        break;
+      case 'error':
+        failure = new Error(util.format('%s has more than %d buffered "%s" events', self.name, highWaterMark, event));
+        failure.code = 'EOVERFLOW';
+        finish();
+        break;
+    }
+  }
+  this.addListener(event, listener);
+  var iterator = {
+    next: function () {
+      if (buffer.length > 0) {
+        return Promise.resolve({ value: buffer.shift(), done: false });
+      }
+      if (failure) {
+        var err = failure;
+        failure = undefined;
+        return Promise.reject(err);
+      }
+      if (done) {
+        return Promise.resolve({ value: undefined, done: true });
+      }
+      return new Promise(function (resolve, reject) {
+        consumers.push({ resolve: resolve, reject: reject });
+      });
+    },
+    return: function () {
+      buffer = [];
+      failure = undefined;
+      if (!done) {
+        finish();
+      }
+      return Promise.resolve({ value: undefined, done: true });
+    }
+  };
+  iterator[Symbol.asyncIterator] = function () {
+    return iterator;
+  };
+  return iterator;
+};
+
+/**
+ * Get the peers of the group discovered using the presence announcements (it requires the `presence` option)
+ * @param {String} [event] Get only the peers listening the event (or a pattern matching the event)
+ * @return {Object[]} The peers: every peer has `id`, `name`, `host`, `pid`, `version`, `events`, `address`,
+ * `port`, `publisher` (if the announcement is signed) and `lastSeen` properties
+ */
+EventEmitter.prototype.peers = function peers(event) {
+  return Object.keys(this.knownPeers).map(function (id) {
+    return this.knownPeers[id];
+  }.bind(this)).filter(function (peer) {
+    return !event || peer.events.some(function (listened) {
+      return this.matches(listened, event);
+    }.bind(this));
+  }.bind(this)).map(function (peer) {
+    var copy = {};
+    Object.keys(peer).forEach(function (key) {
+      copy[key] = peer[key];
+    });
+    copy.events = peer.events.slice();
+    return copy;
+  });
+};
+
+/**
+ * Get the counters of the emitter: the `total` counters of the emitter, the counters of every event (`events`)
+ * and the number of reported `errors` for every type. The counters are `sent` and `sentBytes` (messages),
+ * `received` and `receivedBytes` (datagrams), `decryptFailures`, `decodeFailures`, `foreignDrops`,
+ * `handlerErrors`, `handled` (listener calls) and `handlerTime` (the duration of the listener calls in seconds).
+ * @param {Object} [options] The options
+ * @param {String} [options.format] Set 'prometheus' to get the counters in the Prometheus text exposition format
+ * @return {Object/String} The counters (with the `name` of the emitter) or the exposition text
+ */
+EventEmitter.prototype.stats = function stats(options) {
+  options = options || {};
+  var result = metrics.snapshot(this.metrics);
+  result.name = this.name;
+  if (options.format === 'prometheus') {
+    return metrics.prometheus(result);
+  }
+  if (options.format !== undefined) {
+    throw new Error(util.format('%s does not support the %s stats format', this.name, options.format));
+  }
+  return result;
+};
+
+/**
+ * Wait until the sender and all receivers are bound. The events emitted before are queued and sent in order
+ * when the emitter is ready.
+ * @return {Promise} Resolved with the emitter or rejected with the error of the first socket unable to bind
+ */
+EventEmitter.prototype.ready = function ready() {
+  var bindings = [this.bound];
+  if (this.presence) {
+    bindings.push(this.presenceBound);
+  }
+  Object.keys(this.subscriptions).forEach(function (event) {
+    bindings.push(this.subscriptions[event].bound);
+  }.bind(this));
+  return Promise.all(bindings).then(function (errors) {
+    var failed = errors.filter(function (err) {
+      return err !== undefined;
+    });
+    if (failed.length > 0) {
+      throw failed[0];
+    }
+    return this;
+  }.bind(this));
+};
+
+/**
+ * Close the emitter: the queued events are sent, the pending requests are rejected, the receivers drop
+ * the membership and all sockets are closed. The emitter can't be used after close.
+ * @return {Promise} Resolved when all sockets are closed
+ */
+EventEmitter.prototype.close = function close() {
+  if (this.closing) {
+    return this.closing;
+  }
+  this.closing = this.ready().catch(function () {}).then(function () {
+    flushQueue.call(this);
+    clearInterval(this.scanTimer);
+    if (!this.presence) {
+      return undefined;
+    }
+    clearInterval(this.presenceTimer);
+    return new Promise(function (resolve) {
+      announce.call(this, true, resolve);
+    }.bind(this));
+  }.bind(this)).then(function () {
+    this.closed = true;
+    Object.keys(this.requests).forEach(function (messageId) {
+      var pending = this.requests[messageId];
+      delete this.requests[messageId];
+      clearTimeout(pending.timer);
+      pending.reject(new Error(util.format('%s was closed before a reply to "%s"', this.name, pending.event)));
+    }.bind(this));
+    Object.keys(this.streams).forEach(function (key) {
+      clearTimeout(this.streams[key].timer);
+    }.bind(this));
+    Object.keys(this.partials).forEach(function (key) {
+      clearTimeout(this.partials[key].timer);
+    }.bind(this));
+    this.streams = Object.create(null);
+    this.partials = Object.create(null);
+    this.partialSize = 0;
+    var receivers = [];
+    var closing = [];
+    Object.keys(this.subscriptions).forEach(function (event) {
+      var receiver = this.subscriptions[event].receiver;
+      if (receivers.indexOf(receiver) === -1) {
+        receivers.push(receiver);
+        closing.push(new Promise(function (resolve) {
+          closeReceiver.call(this, receiver, this.transport === 'shared' ? '*' : event, resolve);
+        }.bind(this)));
+      }
+    }.bind(this));
+    this.subscriptions = {};
+    if (this.presence) {
+      this.knownPeers = {};
+      closing.push(new Promise(function (resolve) {
+        closeReceiver.call(this, this.presenceReceiver, presenceEvent, resolve);
+      }.bind(this)));
+    }
+    closing.push(new Promise(function (resolve) {
+      this.sender.close(resolve);
+    }.bind(this)));
+    return Promise.all(closing);
+  }.bind(this)).then(function () {
+    debug('%s closed', this.name);
   }.bind(this));
+  return this.closing;
 };
 
 exports.EventEmitter = EventEmitter;
+exports.codecs = codecs.codecs;
+exports.prometheus = metrics.prometheus;
+exports.transports = transports.transports;
+exports.MemoryTransport = transports.MemoryTransport;
+exports.Recorder = recording.Recorder;
+exports.replay = recording.replay;
+exports.Bridge = bridge.Bridge;
@@ -0,0 +1,167 @@
+/**
+ * Record the events of a group and replay them. A recording is NDJSON: every line is a received event with
+ * the following properties:
+ *
+ *  - `timestamp`: the time (in ms) when the event was received;
+ *  - `sent`: the time (in ms) when the event was emitted;
+ *  - `event`: the event;
+ *  - `args`: the decoded arguments (dates, maps, sets, buffers and typed arrays are tagged as the json codec does);
+ *  - `sender`: the `address`, the `port` and the verified `publisher` (if the emitter has trusted publishers).
+ *
+ * The arguments are decoded, so a recording of encrypted events can be replayed after a secret rotation.
+ *
+ * @class node_modules.multicast_events.recording
+ * @author Marcello Gesmundo
+ */
+
+var util = require('util');
+var readline = require('readline');
+var codecs = require('./codecs');
+
+/**
+ * Write a received event into the recording
+ * @param {Mixed...} args The arguments of the listener
+ * @ignore
+ */
+function record() {
+  var args = [].slice.call(arguments);
+  var publisher = this.emitter.trusted ? args.pop() : undefined;
+  var rinfo = args.pop();
+  this.output.write(JSON.stringify({
+    timestamp: Date.now(),
+    sent: rinfo.timestamp,
+    event: rinfo.event,
+    args: codecs.tag(args),
+    sender: {
+      address: rinfo.address,
+      port: rinfo.port,
+      publisher: publisher
+    }
+  }) + '\n');
+  this.count++;
+}
+
+/**
+ * Recorder of the events received by an emitter
+ *
+ * @class node_modules.multicast_events.Recorder
+ * @cfg {EventEmitter} emitter The emitter that receives the events
+ * @cfg {Object} opts Options
+ * @cfg {stream.Writable} opts.output The stream where the recording is written (e.g. a file stream)
+ * @cfg {String/String[]} [opts.events = '**'] The events (or the patterns) to record. All events are recorded by default, but the patterns require the shared transport
+ * @cfg {Boolean} [opts.end = true] Set `false` to don't end the output when the recorder is stopped
+ * @constructor
+ */
+function Recorder(emitter, opts) {
+  opts = opts || {};
+  if (!opts.output || typeof opts.output.write !== 'function') {
+    throw new Error(util.format('%s requires a writable output to record the events', emitter.name));
+  }
+  this.emitter = emitter;
+  this.output = opts.output;
+  this.events = [].concat(opts.events || '**');
+  this.end = opts.end !== false;
+  this.count = 0;
+  this.listener = record.bind(this);
+  this.events.forEach(function (event) {
+    emitter.on(event, this.listener);
+  }.bind(this));
+}
+
+/**
+ * Stop the recording removing the listeners of the recorder
+ * @return {Promise} Resolved with the number of recorded events when the output is ended (or immediately if the
+ * output must not be ended)
+ */
+Recorder.prototype.stop = function stop() {
+  this.events.forEach(function (event) {
+    this.emitter.off(event, this.listener);
+  }.bind(this));
+  this.events = [];
+  if (!this.end) {
+    return Promise.resolve(this.count);
+  }
+  return new Promise(function (resolve) {
+    this.output.end(function () {
+      resolve(this.count);
+    }.bind(this));
+  }.bind(this));
+};
+
+/**
+ * Parse a line of a recording
+ * @param {EventEmitter} emitter The emitter that replays the recording
+ * @param {String/Object} line The line or the recorded event
+ * @param {Number} index The index of the line
+ * @return {Object} The recorded event or undefined if the line is empty
+ * @ignore
+ */
+function parse(emitter, line, index) {
+  var recorded = line;
+  if (typeof line === 'string') {
+    if (line.trim() === '') {
+      return undefined;
+    }
+    try {
+      recorded = JSON.parse(line);
+    } catch (err) {
+      throw new Error(util.format('%s can\'t replay the line %d of the recording: %s', emitter.name, index + 1, err.message));
+    }
+  }
+  if (!recorded || typeof recorded.event !== 'string' || !Array.isArray(recorded.args) || typeof recorded.timestamp !== 'number') {
+    throw new Error(util.format('%s can\'t replay the line %d of the recording: invalid event', emitter.name, index + 1));
+  }
+  return recorded;
+}
+
+/**
+ * Replay a recording emitting its events with the original timing. The timing can be scaled by the speed or
+ * the events can be emitted as fast as possible (every event is emitted when the previous event is sent).
+ * @param {EventEmitter} emitter The emitter
+ * @param {stream.Readable/Array} input The NDJSON recording or an Array with the recorded events
+ * @param {Object} [options] The options
+ * @param {Number} [options.speed = 1] The speed of the replay: 1 is the original timing, 2 is twice as fast
+ * and Infinity is as fast as possible
+ * @return {Promise} Resolved with the number of replayed events when all events are sent or rejected
+ * with the error of an invalid line or of an event that can't be sent
+ */
+function replay(emitter, input, options) {
+  options = options || {};
+  var speed = options.speed === undefined ? 1 : Number(options.speed);
+  if (!(speed > 0)) {
+    throw new Error(util.format('%s requires a positive speed to replay a recording', emitter.name));
+  }
+  var lines = Array.isArray(input) ? input[Symbol.iterator]() :
+    readline.createInterface({ input: input, crlfDelay: Infinity })[Symbol.asyncIterator]();
+  var index = 0;
+  var count = 0;
+  var start, first;
+  function next() {
+    return Promise.resolve(lines.next()).then(function (item) {
+      if (item.done) {
+        return count;
+      }
+      var recorded = parse(emitter, item.value, index++);
+      if (!recorded) {
+        return next();
+      }
+      var delay = 0;
+      if (first === undefined) {
+        first = recorded.timestamp;
+        start = Date.now();
+      } else if (speed !== Infinity) {
+        delay = start + (recorded.timestamp - first) / speed - Date.now();
+      }
+      return new Promise(function (resolve) {
+        setTimeout(resolve, Math.max(delay, 0));
+      }).then(function () {
+        count++;
+        return emitter.emit.apply(emitter, [recorded.event].concat(codecs.untag(recorded.args)));
+      }).then(next);
+    });
+  }
+  return next();
+}
+
+exports.Recorder = Recorder;
+exports.replay = replay;
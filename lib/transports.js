@@ -0,0 +1,470 @@
+/**
+ * The transports used to create the sockets of an emitter. A transport has the `createSocket` function that
+ * returns a socket with the `bind`, `join`, `leave`, `send`, `close`, `onMessage` and `onError` functions
+ * (and optionally the `joinSource` and `leaveSource` functions of the source-specific multicast):
+ *
+ *  - `udp`: the UDP multicast of the network used by default;
+ *  - `memory`: an in-process bus shared by all emitters using it: the datagrams never leave the process.
+ *    A MemoryTransport with its own bus can inject latency, loss and reordering.
+ *
+ * The socket options are `family` ('ipv4' or 'ipv6'), `reuseAddr`, `ttl`, `loopback` and `multicastInterface`.
+ *
+ * @class node_modules.multicast_events.transports
+ * @author Marcello Gesmundo
+ */
+
+var dgram = require('dgram');
+var util = require('util');
+var net = require('net');
+var NodeEventEmitter = require('events').EventEmitter;
+
+// the first port assigned to the sockets bound without a port
+var ephemeralPort = 49152;
+
+/**
+ * Create an error with a code as the errors of the sockets
+ * @param {String} code The code
+ * @param {String} message The message
+ * @return {Error} The error
+ * @ignore
+ */
+function socketError(code, message) {
+  var err = new Error(util.format('%s %s', message, code));
+  err.code = code;
+  return err;
+}
+
+/**
+ * Verify that an address is a multicast group
+ * @param {String} address The address
+ * @return {Boolean} True if the address is an IPv4 or IPv6 multicast address
+ * @ignore
+ */
+function isGroup(address) {
+  return !!address && net.isIP(address) !== 0 && /^(22[4-9]|23\d)\.|^ff/i.test(address);
+}
+
+/**
+ * A socket of the UDP transport
+ * @param {Object} options The socket options
+ * @constructor
+ * @ignore
+ */
+function UdpSocket(options) {
+  this.options = options;
+  this.socket = dgram.createSocket({
+    type: options.family === 'ipv6' ? 'udp6' : 'udp4',
+    reuseAddr: !!options.reuseAddr
+  });
+}
+
+/**
+ * Bind the socket and set its multicast options
+ * @param {Number} [port] The port or undefined to bind a random port
+ * @param {String} [address] The address or undefined to bind all addresses
+ * @param {Function} callback The function called with the error if the bind has failed, without arguments when
+ * the socket is bound (or closed before)
+ */
+UdpSocket.prototype.bind = function bind(port, address, callback) {
+  var socket = this.socket;
+  var options = this.options;
+  function settle(err) {
+    socket.removeListener('error', settle);
+    socket.removeListener('close', settle);
+    callback(err);
+  }
+  socket.on('error', settle);
+  // a socket closed before the bind is not waited anymore
+  socket.on('close', settle);
+  socket.bind(port || 0, address, function () {
+    try {
+      socket.setBroadcast(false);
+      socket.setMulticastTTL(options.ttl);
+      socket.setMulticastLoopback(options.loopback);
+      if (options.multicastInterface) {
+        socket.setMulticastInterface(options.multicastInterface);
+      }
+    } catch (err) {
+      socket.emit('error', err);
+      return;
+    }
+    settle();
+  });
+};
+
+/**
+ * Join a multicast group. It is ignored if the socket is closed.
+ * @param {String} group The multicast address
+ * @param {String} [membership] The interface (or undefined to let the OS choose it)
+ */
+UdpSocket.prototype.join = function join(group, membership) {
+  if (!this.closed) {
+    this.socket.addMembership(group, membership);
+  }
+};
+
+/**
+ * Leave a multicast group. It is ignored if the socket is closed.
+ * @param {String} group The multicast address
+ * @param {String} [membership] The interface (or undefined to let the OS choose it)
+ */
+UdpSocket.prototype.leave = function leave(group, membership) {
+  if (!this.closed) {
+    this.socket.dropMembership(group, membership);
+  }
+};
+
+/**
+ * Join a multicast group receiving only the datagrams of a source. It is ignored if the socket is closed.
+ * @param {String} source The address of the source
+ * @param {String} group The multicast address
+ * @param {String} [membership] The interface (or undefined to let the OS choose it)
+ */
+UdpSocket.prototype.joinSource = function joinSource(source, group, membership) {
+  if (typeof this.socket.addSourceSpecificMembership !== 'function') {
+    throw socketError('ENOTSUP', 'addSourceSpecificMembership');
+  }
+  if (!this.closed) {
+    this.socket.addSourceSpecificMembership(source, group, membership);
+  }
+};
+
+/**
+ * Leave a multicast group joined for a source. It is ignored if the socket is closed.
+ * @param {String} source The address of the source
+ * @param {String} group The multicast address
+ * @param {String} [membership] The interface (or undefined to let the OS choose it)
+ */
+UdpSocket.prototype.leaveSource = function leaveSource(source, group, membership) {
+  if (!this.closed) {
+    this.socket.dropSourceSpecificMembership(source, group, membership);
+  }
+};
+
+/**
+ * Send a datagram
+ * @param {Buffer} data The datagram
+ * @param {Number} port The destination port
+ * @param {String} address The destination address
+ * @param {Function} [callback] The function called with an error (or without arguments) when the datagram is sent
+ */
+UdpSocket.prototype.send = function send(data, port, address, callback) {
+  this.socket.send(data, 0, data.length, port, address, callback);
+};
+
+/**
+ * Close the socket
+ * @param {Function} [callback] The function called when the socket is closed
+ */
+UdpSocket.prototype.close = function close(callback) {
+  this.closed = true;
+  this.socket.close(callback);
+};
+
+/**
+ * Add a listener of the received datagrams
+ * @param {Function} listener The function called with the datagram and the sender info (`address`, `port`)
+ */
+UdpSocket.prototype.onMessage = function onMessage(listener) {
+  this.socket.on('message', listener);
+};
+
+/**
+ * Add a listener of the errors (e.g. the bind errors)
+ * @param {Function} listener The function called with the error
+ */
+UdpSocket.prototype.onError = function onError(listener) {
+  this.socket.on('error', listener);
+};
+
+var udp = {
+  name: 'udp',
+  createSocket: function (options) {
+    return new UdpSocket(options);
+  }
+};
+
+/**
+ * A socket of a memory transport
+ * @param {MemoryTransport} transport The transport
+ * @param {Object} options The socket options
+ * @constructor
+ * @ignore
+ */
+function MemorySocket(transport, options) {
+  NodeEventEmitter.call(this);
+  this.transport = transport;
+  this.options = options;
+  this.memberships = [];
+}
+
+util.inherits(MemorySocket, NodeEventEmitter);
+
+/**
+ * Emit an error if the socket has error listeners
+ * @param {Error} err The error
+ * @ignore
+ */
+function fail(err) {
+  if (this.listenerCount('error') > 0) {
+    this.emit('error', err);
+  }
+}
+
+/**
+ * Bind the socket on the bus. The port is in use if another socket has bound it on the same address
+ * without `reuseAddr`.
+ * @param {Number} [port] The port or undefined to bind a random port
+ * @param {String} [address] The address or undefined to bind all addresses
+ * @param {Function} [callback] The function called with the error if the bind has failed, without arguments when
+ * the socket is bound (or closed before)
+ */
+MemorySocket.prototype.bind = function bind(port, address, callback) {
+  callback = callback || function () {};
+  var err;
+  if (this.closed || this.port !== undefined) {
+    err = socketError(this.closed ? 'ERR_SOCKET_DGRAM_NOT_RUNNING' : 'ERR_SOCKET_ALREADY_BOUND', 'bind');
+  } else {
+    // the scope of an IPv6 address is ignored
+    address = address === undefined ? undefined : address.split('%')[0];
+    port = port || this.transport.nextPort();
+    var inUse = this.transport.sockets.some(function (socket) {
+      return socket.port === port && socket.address === address &&
+        !(socket.options.reuseAddr && this.options.reuseAddr);
+    }.bind(this));
+    if (inUse) {
+      err = socketError('EADDRINUSE', util.format('bind %s:%d', address || '*', port));
+    } else {
+      this.port = port;
+      this.address = address;
+      this.transport.sockets.push(this);
+    }
+  }
+  setImmediate(function () {
+    if (err) {
+      fail.call(this, err);
+    }
+    callback(err);
+  }.bind(this));
+};
+
+/**
+ * Join a multicast group. It is ignored if the socket is closed.
+ * @param {String} group The multicast address
+ * @param {String} [membership] The interface
+ */
+MemorySocket.prototype.join = function join(group, membership) {
+  var key = group + '|' + membership;
+  if (this.closed) {
+    return;
+  }
+  if (this.memberships.indexOf(key) !== -1) {
+    throw socketError('EADDRINUSE', 'addMembership');
+  }
+  this.memberships.push(key);
+};
+
+/**
+ * Leave a multicast group. It is ignored if the socket is closed.
+ * @param {String} group The multicast address
+ * @param {String} [membership] The interface
+ */
+MemorySocket.prototype.leave = function leave(group, membership) {
+  var index = this.memberships.indexOf(group + '|' + membership);
+  if (this.closed) {
+    return;
+  }
+  if (index === -1) {
+    throw socketError('EADDRNOTAVAIL', 'dropMembership');
+  }
+  this.memberships.splice(index, 1);
+};
+
+/**
+ * Verify that the socket has joined a multicast group on any interface
+ * @param {String} group The multicast address
+ * @return {Boolean} True if the socket is a member of the group
+ * @ignore
+ */
+function isMember(group) {
+  return this.memberships.some(function (key) {
+    return key.split('|')[0] === group;
+  });
+}
+
+/**
+ * Send a datagram on the bus. A socket not bound is bound to a random port.
+ * @param {Buffer} data The datagram
+ * @param {Number} port The destination port
+ * @param {String} address The destination address
+ * @param {Function} [callback] The function called with an error (or without arguments) when the datagram is sent
+ */
+MemorySocket.prototype.send = function send(data, port, address, callback) {
+  callback = callback || function () {};
+  if (this.closed) {
+    setImmediate(callback, socketError('ERR_SOCKET_DGRAM_NOT_RUNNING', 'send'));
+    return;
+  }
+  if (this.port === undefined) {
+    this.bind();
+  }
+  var rinfo = {
+    address: this.options.family === 'ipv6' ? '::1' : '127.0.0.1',
+    family: this.options.family === 'ipv6' ? 'IPv6' : 'IPv4',
+    port: this.port,
+    size: data.length
+  };
+  this.transport.deliver(Buffer.from(data), port, address, rinfo);
+  setImmediate(callback);
+};
+
+/**
+ * Close the socket: it is removed from the bus
+ * @param {Function} [callback] The function called when the socket is closed
+ */
+MemorySocket.prototype.close = function close(callback) {
+  var index = this.transport.sockets.indexOf(this);
+  if (index !== -1) {
+    this.transport.sockets.splice(index, 1);
+  }
+  this.closed = true;
+  // as an UDP socket the close is notified in the next tick
+  process.nextTick(function () {
+    this.emit('close');
+    if (callback) {
+      callback();
+    }
+  }.bind(this));
+};
+
+/**
+ * Add a listener of the received datagrams
+ * @param {Function} listener The function called with the datagram and the sender info (`address`, `port`)
+ */
+MemorySocket.prototype.onMessage = function onMessage(listener) {
+  this.on('message', listener);
+};
+
+/**
+ * Add a listener of the errors (e.g. the bind errors)
+ * @param {Function} listener The function called with the error
+ */
+MemorySocket.prototype.onError = function onError(listener) {
+  this.on('error', listener);
+};
+
+/**
+ * A transport with an in-process bus: all emitters using the same transport exchange the datagrams without
+ * the network. The `ttl`, `loopback` and `multicastInterface` options of the sockets are ignored.
+ *
+ * @class node_modules.multicast_events.MemoryTransport
+ * @cfg {Object} [opts] Options
+ * @cfg {Number/Function} [opts.latency = 0] The delay (in ms) of every datagram or a function that returns it
+ * @cfg {Number} [opts.loss = 0] The probability (from 0 to 1) that a datagram is lost
+ * @cfg {Number} [opts.reorder = 0] The probability (from 0 to 1) that a datagram is delayed after the next datagrams
+ * @cfg {Number} [opts.reorderDelay = 10] The additional delay (in ms) of a reordered datagram
+ * @cfg {Function} [opts.random = Math.random] The random generator used for the loss and the reordering
+ * @constructor
+ */
+function MemoryTransport(opts) {
+  opts = opts || {};
+  this.name = 'memory';
+  this.latency = opts.latency || 0;
+  this.loss = opts.loss || 0;
+  this.reorder = opts.reorder || 0;
+  this.reorderDelay = opts.reorderDelay || 10;
+  this.random = opts.random || Math.random;
+  if (!(this.loss >= 0 && this.loss <= 1 && this.reorder >= 0 && this.reorder <= 1)) {
+    throw new Error('The memory transport must have loss and reorder from 0 to 1');
+  }
+  this.sockets = [];
+  this.port = ephemeralPort;
+}
+
+/**
+ * Create a socket on the bus
+ * @param {Object} options The socket options
+ * @return {Object} The socket
+ */
+MemoryTransport.prototype.createSocket = function createSocket(options) {
+  return new MemorySocket(this, options || {});
+};
+
+/**
+ * Get a port not bound by any socket of the bus
+ * @return {Number} The port
+ * @ignore
+ */
+MemoryTransport.prototype.nextPort = function nextPort() {
+  var bound = function (socket) {
+    return socket.port === this.port;
+  }.bind(this);
+  do {
+    this.port = this.port === 65535 ? ephemeralPort : this.port + 1;
+  } while (this.sockets.some(bound));
+  return this.port;
+};
+
+/**
+ * Deliver a datagram applying the loss, the latency and the reordering. The datagram is received by the sockets
+ * bound to the destination when it arrives: by the members of the group if the destination is a multicast group.
+ * @param {Buffer} data The datagram
+ * @param {Number} port The destination port
+ * @param {String} address The destination address
+ * @param {Object} rinfo The sender info
+ * @ignore
+ */
+MemoryTransport.prototype.deliver = function deliver(data, port, address, rinfo) {
+  if (this.loss > 0 && this.random() < this.loss) {
+    return;
+  }
+  var delay = typeof this.latency === 'function' ? this.latency() : this.latency;
+  if (this.reorder > 0 && this.random() < this.reorder) {
+    delay += this.reorderDelay;
+  }
+  var receive = function () {
+    var multicast = isGroup(address);
+    this.sockets.filter(function (socket) {
+      if (socket.port !== port) {
+        return false;
+      }
+      if (multicast) {
+        return isMember.call(socket, address) && (socket.address === undefined || socket.address === address);
+      }
+      return !isGroup(socket.address);
+    }).forEach(function (socket) {
+      socket.emit('message', Buffer.from(data), rinfo);
+    });
+  }.bind(this);
+  if (delay > 0) {
+    setTimeout(receive, delay);
+  } else {
+    setImmediate(receive);
+  }
+};
+
+var transports = {
+  udp: udp,
+  // the bus shared by the emitters with the memory network
+  memory: new MemoryTransport()
+};
+
+/**
+ * Get the transport by name or validate a custom transport. A custom transport must have the `createSocket`
+ * function (from the socket options to a socket).
+ * @param {String/Object} transport The name of a built-in transport or a custom transport
+ * @return {Object} The transport or undefined if the transport is not valid
+ */
+function resolve(transport) {
+  if (typeof transport === 'string') {
+    return transports.hasOwnProperty(transport) ? transports[transport] : undefined;
+  }
+  if (transport && typeof transport.createSocket === 'function') {
+    return transport;
+  }
+  return undefined;
+}
+
+exports.transports = transports;
+exports.MemoryTransport = MemoryTransport;
+exports.resolve = resolve;
@@ -1,9 +1,36 @@
 /*global describe, it */
-var EventEmitter = require('../index').EventEmitter;
+var events = require('../index');
 var should = require('should');
 var path = require('path');
+var crypto = require('crypto');
+var os = require('os');
 var emitter1;
 var emitter2;
+// run the tests on the in-process bus using NETWORK=memory
+var network = process.env.NETWORK || 'udp';
+// the tests with other processes require the network
+var itNetwork = network === 'memory' ? it.skip : it;
+
+function EventEmitter(opts) {
+  opts = opts || {};
+  opts.network = opts.network || network;
+  return new events.EventEmitter(opts);
+}
+
+// forge an unencrypted message of the json codec sent by a random instance
+function forge(type, event, args) {
+  var name = Buffer.from(event);
+  var header = Buffer.alloc(39 + name.length);
+  header.writeUInt16BE(0x4d45, 0);
+  header.writeUInt8(1, 2);
+  header.writeUInt8(type, 3);
+  header.writeUInt8(events.codecs.json.id, 5);
+  crypto.randomBytes(16).copy(header, 6);
+  header.writeDoubleBE(Date.now(), 30);
+  header.writeUInt8(name.length, 38);
+  name.copy(header, 39);
+  return Buffer.concat([header, events.codecs.json.encode(args)]);
+}
 
 describe('Multicast Events on same process', function() {
   before(function(done) {
@@ -39,7 +66,7 @@ describe('Multicast Events on same process', function() {
       emitter2.emit('test2', 'message');
     }, 50);
   });
-  it('should handle an event from another process', function(done) {
+  itNetwork('should handle an event from another process', function(done) {
     function handler(data) {
       data.should.eql('message');
       emitter1.off('process', handler);
@@ -50,7 +77,7 @@ describe('Multicast Events on same process', function() {
     var child = require('child_process').fork(path.resolve(__dirname, './other-emitter'));
     child.pid.should.should.not.eql(process.pid);
   });
-  it('should handle ONLY events from another process (NOT handle events from the SAME process)', function(done) {
+  itNetwork('should handle ONLY events from another process (NOT handle events from the SAME process)', function(done) {
     var emitter3 = new EventEmitter({
       foreignOnly: true
     });
@@ -80,6 +107,1443 @@ describe('Multicast Events on same process', function() {
     emitter4.on('test', handler);
     emitter4.emit('test', 'message');
   });
+  it('should drop a tampered encrypted event', function(done) {
+    var emitter5 = new EventEmitter({
+      secure: true,
+      secret: 'password',
+      onError: function (err) {
+        err.message.should.match(/unable to authenticate/);
+        emitter5.off('tampered', handler);
+        done();
+      }
+    });
+    function handler(data) {
+      should.not.exist(data);
+    }
+    var send = emitter5.sender.send;
+    emitter5.sender.send = function (data) {
+      // flip a bit of the ciphertext
+      data[data.length - 1] ^= 1;
+      return send.apply(this, arguments);
+    };
+    emitter5.on('tampered', handler);
+    emitter5.emit('tampered', 'message');
+  });
+  it('should drop a replayed encrypted event', function(done) {
+    var count = 0;
+    var emitter6 = new EventEmitter({
+      secure: true,
+      secret: 'password',
+      onError: function (err) {
+        err.message.should.match(/stale or replayed/);
+        count.should.eql(1);
+        emitter6.off('replayed', handler);
+        socket.close();
+        done();
+      }
+    });
+    var captured;
+    var send = emitter6.sender.send;
+    emitter6.sender.send = function (data) {
+      captured = data;
+      return send.apply(this, arguments);
+    };
+    var socket = events.transports[network].createSocket({});
+    function handler(data) {
+      data.should.eql('message');
+      count++;
+      socket.send(captured, emitter6.getPort('replayed'), emitter6.getAddress());
+    }
+    emitter6.on('replayed', handler);
+    emitter6.emit('replayed', 'message');
+  });
+  it('should rotate the keys of an encrypted event', function(done) {
+    var received = [];
+    var emitter7 = new EventEmitter({
+      secure: true,
+      keys: {
+        old: 'old password',
+        'new': 'new password'
+      },
+      activeKey: 'old',
+      onError: function (err) {
+        err.message.should.match(/unknown key "other"/);
+        received.should.eql(['old', 'new']);
+        emitter7.off('rotated', handler);
+        done();
+      }
+    });
+    var emitter8 = new EventEmitter({
+      secure: true,
+      keys: {
+        other: 'other password'
+      }
+    });
+    function handler(data) {
+      received.push(data);
+      if (data === 'old') {
+        emitter7.setActiveKey('new').removeKey('old');
+        emitter7.emit('rotated', 'new');
+      } else {
+        emitter8.emit('rotated', 'other');
+      }
+    }
+    emitter7.on('rotated', handler);
+    emitter7.emit('rotated', 'old');
+  });
+  it('should don\'t remove the active key', function(done) {
+    var emitter9 = new EventEmitter({
+      name: 'keyring',
+      secure: true,
+      secret: 'password'
+    });
+    (function () {
+      emitter9.removeKey('default');
+    }).should.throw('keyring can\'t remove the active key "default"');
+    (function () {
+      emitter9.setActiveKey('unknown');
+    }).should.throw('keyring does not have the key "unknown"');
+    done();
+  });
+  it('should emit a signed event and receive it with the publisher', function(done) {
+    var keys = crypto.generateKeyPairSync('ed25519');
+    var emitter10 = new EventEmitter({
+      privateKey: keys.privateKey,
+      publisher: 'node-a',
+      trusted: {
+        'node-a': keys.publicKey
+      }
+    });
+    function handler(data, rinfo, publisher) {
+      data.should.eql('message');
+      rinfo.should.have.property('address');
+      publisher.should.eql('node-a');
+      emitter10.off('signed', handler);
+      done();
+    }
+    emitter10.on('signed', handler);
+    emitter10.emit('signed', 'message');
+  });
+  it('should drop an event signed by an untrusted publisher', function(done) {
+    var trustedKeys = crypto.generateKeyPairSync('ed25519');
+    var otherKeys = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+    var emitter11 = new EventEmitter({
+      trusted: {
+        'node-a': trustedKeys.publicKey
+      },
+      onError: function (err) {
+        err.message.should.match(/untrusted publisher "node-b"/);
+        emitter11.off('signed', handler);
+        done();
+      }
+    });
+    var emitter12 = new EventEmitter({
+      privateKey: otherKeys.privateKey,
+      publisher: 'node-b'
+    });
+    function handler(data) {
+      should.not.exist(data);
+    }
+    emitter11.on('signed', handler);
+    emitter12.emit('signed', 'message');
+  });
+  it('should drop an event with an unsupported protocol version', function(done) {
+    var emitter13 = new EventEmitter({
+      onError: function (err) {
+        err.message.should.match(/unsupported protocol version 2/);
+        emitter13.off('version', handler);
+        socket.close();
+        done();
+      }
+    });
+    function handler(data) {
+      should.not.exist(data);
+    }
+    emitter13.on('version', handler);
+    var socket = events.transports[network].createSocket({});
+    var data = Buffer.alloc(64);
+    data.write('ME', 0);
+    data.writeUInt8(2, 2);
+    setTimeout(function () {
+      socket.send(data, emitter13.getPort('version'), emitter13.getAddress());
+    }, 50);
+  });
+  it('should emit events over a shared transport', function(done) {
+    var received = [];
+    var emitter14 = new EventEmitter({
+      transport: 'shared'
+    });
+    var emitter15 = new EventEmitter({
+      transport: 'shared'
+    });
+    emitter14.getPort('order.created').should.eql(emitter14.getPort('order.shipped'));
+    function handler(data) {
+      received.push(data);
+      if (received.length === 3) {
+        received.sort().should.eql(['created', 'created', 'shipped']);
+        emitter14.subscriptions['order.created'].receiver.should.equal(emitter14.subscriptions['order.shipped'].receiver);
+        emitter14.removeAllListeners();
+        emitter15.removeAllListeners();
+        done();
+      }
+    }
+    emitter14.on('order.created', handler);
+    emitter14.on('order.shipped', handler);
+    emitter15.on('order.created', handler);
+    setTimeout(function () {
+      emitter15.emit('order.created', 'created');
+      emitter15.emit('order.shipped', 'shipped');
+    }, 50);
+  });
+  it('should listen events matching a pattern', function(done) {
+    var orders = [];
+    var all = [];
+    var emitter16 = new EventEmitter({
+      id: 'patterns',
+      transport: 'shared'
+    });
+    function orderHandler(data, rinfo) {
+      orders.push(rinfo.event);
+    }
+    function anyHandler(data, rinfo) {
+      all.push(rinfo.event);
+      if (rinfo.event === 'done') {
+        orders.should.eql(['order.created', 'order.shipped']);
+        all.should.eql(['order.created', 'order.shipped', 'order.item.added', 'user.deleted', 'done']);
+        emitter16.off('order.*', orderHandler);
+        emitter16.offAny(anyHandler);
+        done();
+      }
+    }
+    emitter16.on('order.*', orderHandler);
+    emitter16.onAny(anyHandler);
+    ['order.created', 'order.shipped', 'order.item.added', 'user.deleted', 'done'].forEach(function (event, i) {
+      setTimeout(function () {
+        emitter16.emit(event, 'message');
+      }, 10 * i);
+    });
+  });
+  it('should don\'t listen a pattern without the shared transport', function(done) {
+    (function () {
+      new EventEmitter({
+        name: 'dedicated'
+      }).on('order.*', function () {});
+    }).should.throw('dedicated requires the shared transport to listen the pattern "order.*"');
+    done();
+  });
+  it('should send a request and receive the first reply', function(done) {
+    var emitter17 = new EventEmitter();
+    emitter17.respond('sum', function (a, b) {
+      return a + b;
+    });
+    emitter17.request('sum', 1, 2).then(function (result) {
+      result.should.eql(3);
+      emitter17.removeResponder('sum');
+      should.not.exist(emitter17.subscriptions.sum);
+      done();
+    }).catch(done);
+  });
+  it('should send a request with an array as last argument', function(done) {
+    var emitter67 = new EventEmitter();
+    emitter67.respond('count', function (items) {
+      return items.length;
+    });
+    emitter67.request('count', [1, 2, 3]).then(function (result) {
+      result.should.eql(3);
+      emitter67.removeResponder('count');
+      return emitter67.close();
+    }).then(function () {
+      done();
+    }).catch(done);
+  });
+  it('should send a request and receive all replies', function(done) {
+    var emitter18 = new EventEmitter({
+      transport: 'shared'
+    });
+    var emitter19 = new EventEmitter({
+      transport: 'shared'
+    });
+    emitter18.respond('whoami', function () {
+      return 'emitter18';
+    });
+    emitter19.respond('whoami', function () {
+      return new Promise(function (resolve, reject) {
+        reject(new Error('unknown'));
+      });
+    });
+    emitter18.request('whoami', { timeout: 200, expect: 'all' }).then(function (replies) {
+      replies.length.should.eql(2);
+      replies.map(function (reply) {
+        return reply.error || reply.result;
+      }).sort().should.eql(['emitter18', 'unknown']);
+      emitter18.removeResponder('whoami');
+      emitter19.removeResponder('whoami');
+      done();
+    }).catch(done);
+  });
+  it('should ignore a forged reply with a request id of Object.prototype', function(done) {
+    var emitter61 = new EventEmitter({ codec: 'json' });
+    var emitter62 = new EventEmitter({ codec: 'json' });
+    emitter62.on('forged.reply', function (rinfo) {
+      var victim = rinfo.peer.split(':')[0];
+      // the reply type
+      emitter62.sender.send(forge(2, 'forged.reply', [victim, '__proto__', null, 1]), rinfo.port, rinfo.address);
+      setTimeout(function () {
+        Promise.all([emitter61.close(), emitter62.close()]).then(function () {
+          done();
+        });
+      }, 100);
+    });
+    emitter62.ready().then(function () {
+      emitter61.emit('forged.reply');
+    });
+  });
+  it('should ignore a forged nack with sequences of Object.prototype', function(done) {
+    var emitter63 = new EventEmitter({ codec: 'json', reliable: true });
+    var emitter64 = new EventEmitter({ codec: 'json', reliable: true });
+    emitter64.on('forged.nack', function (rinfo) {
+      var victim = Number(rinfo.peer.split(':')[1]);
+      // the nack type
+      emitter64.sender.send(forge(3, '__proto__', [victim, ['constructor']]), rinfo.port, rinfo.address);
+      emitter64.sender.send(forge(3, 'forged.nack', [victim, ['constructor', '0']]), rinfo.port, rinfo.address);
+      setTimeout(function () {
+        Promise.all([emitter63.close(), emitter64.close()]).then(function () {
+          done();
+        });
+      }, 100);
+    });
+    emitter64.ready().then(function () {
+      emitter63.emit('forged.nack');
+    });
+  });
+  it('should forget the idle reliable streams', function(done) {
+    var emitter65 = new EventEmitter({ reliable: true });
+    var emitter66 = new EventEmitter({ reliable: true, streamTimeout: 50 });
+    emitter66.on('idle.first', function () {
+      Object.keys(emitter66.streams).length.should.equal(1);
+      setTimeout(function () {
+        emitter65.emit('idle.second');
+      }, 100);
+    });
+    emitter66.on('idle.second', function (rinfo) {
+      Object.keys(emitter66.streams).should.eql([rinfo.peer + ':idle.second']);
+      Promise.all([emitter65.close(), emitter66.close()]).then(function () {
+        done();
+      });
+    });
+    emitter66.ready().then(function () {
+      emitter65.emit('idle.first');
+    });
+  });
+  it('should reject a request without replies', function(done) {
+    var emitter20 = new EventEmitter({
+      name: 'requester'
+    });
+    emitter20.request('nobody', 'message', { timeout: 100 }).then(function () {
+      done(new Error('unexpected reply'));
+    }, function (err) {
+      err.code.should.eql('ETIMEDOUT');
+      err.message.should.eql('requester has not received a reply to "nobody" within 100 ms');
+      done();
+    });
+  });
+  it('should reject the events and the requests that can\'t be sent', function(done) {
+    var emitter68 = new EventEmitter({ name: 'invalid' });
+    var rejected = function (promise) {
+      return promise.then(function () {
+        throw new Error('unexpected send');
+      }, function (err) {
+        return err.message;
+      });
+    };
+    Promise.all([
+      rejected(emitter68.emit('')),
+      rejected(emitter68.emit('$presence')),
+      rejected(emitter68.emit('invalid.*')),
+      rejected(emitter68.emit(new Array(257).join('a'))),
+      rejected(emitter68.request('error'))
+    ]).then(function (messages) {
+      messages.should.eql([
+        'invalid requires an event',
+        'invalid can\'t send the reserved event "$presence"',
+        'invalid can\'t emit the pattern "invalid.*"',
+        'invalid requires an event name of max 255 bytes',
+        'invalid can\'t send the local event "error"'
+      ]);
+      return emitter68.close();
+    }).then(function () {
+      done();
+    }).catch(done);
+  });
+  it('should reject the events and the requests when the send throws', function(done) {
+    var emitter54 = new EventEmitter();
+    emitter54.sender.send = function () {
+      throw new Error('send failure');
+    };
+    emitter54.emit('failing', 'message').then(function () {
+      done(new Error('unexpected send'));
+    }, function (err) {
+      err.message.should.eql('send failure');
+      return emitter54.request('failing', 'message', { timeout: 5000 });
+    }).then(function () {
+      done(new Error('unexpected reply'));
+    }, function (err) {
+      err.message.should.eql('send failure');
+      Object.keys(emitter54.requests).length.should.equal(0);
+      emitter54.close().then(function () {
+        done();
+      });
+    });
+  });
+  it('should retransmit a lost reliable event and deliver the events in order', function(done) {
+    var received = [];
+    var emitter21 = new EventEmitter({
+      reliable: true
+    });
+    var sent = 0;
+    var send = emitter21.sender.send;
+    emitter21.sender.send = function () {
+      sent++;
+      // lose the first transmission of the second event
+      if (sent !== 2) {
+        return send.apply(this, arguments);
+      }
+    };
+    function handler(data) {
+      received.push(data);
+      if (received.length === 3) {
+        received.should.eql(['a', 'b', 'c']);
+        emitter21.off('reliable', handler);
+        done();
+      }
+    }
+    emitter21.on('reliable', handler);
+    emitter21.emit('reliable', 'a');
+    emitter21.emit('reliable', 'b');
+    emitter21.emit('reliable', 'c');
+  });
+  it('should emit a gap when a reliable event is lost', function(done) {
+    var received = [];
+    var emitter22 = new EventEmitter({
+      reliable: true,
+      nackInterval: 20
+    });
+    var lost;
+    var send = emitter22.sender.send;
+    emitter22.sender.send = function (data) {
+      // lose every transmission of the second event
+      if (!lost && received.length === 1) {
+        lost = data;
+      }
+      if (data !== lost) {
+        return send.apply(this, arguments);
+      }
+    };
+    function handler(data) {
+      received.push(data);
+      if (received.length === 1) {
+        emitter22.emit('reliable', 'b');
+        emitter22.emit('reliable', 'c');
+      }
+    }
+    emitter22.on('gap', function (gap) {
+      gap.event.should.eql('reliable');
+      gap.from.should.eql(1);
+      gap.to.should.eql(1);
+      setTimeout(function () {
+        received.should.eql(['a', 'c']);
+        emitter22.removeAllListeners();
+        done();
+      }, 10);
+    });
+    emitter22.on('reliable', handler);
+    emitter22.emit('reliable', 'a');
+  });
+  it('should emit a large encrypted event in fragments and receive it', function(done) {
+    var emitter23 = new EventEmitter({
+      secure: true,
+      secret: 'password'
+    });
+    var payload = crypto.randomBytes(50000).toString('hex');
+    var sent = 0;
+    var send = emitter23.sender.send;
+    emitter23.sender.send = function (data) {
+      data.length.should.not.be.above(1200);
+      sent++;
+      return send.apply(this, arguments);
+    };
+    function handler(data) {
+      data.should.eql(payload);
+      sent.should.be.above(80);
+      emitter23.off('large', handler);
+      done();
+    }
+    emitter23.on('large', handler);
+    emitter23.emit('large', payload);
+  });
+  it('should emit incomplete when a fragment is lost', function(done) {
+    var emitter24 = new EventEmitter({
+      fragmentTimeout: 100
+    });
+    var sent = 0;
+    var send = emitter24.sender.send;
+    emitter24.sender.send = function () {
+      sent++;
+      // lose the second fragment
+      if (sent !== 2) {
+        return send.apply(this, arguments);
+      }
+    };
+    function handler(data) {
+      should.not.exist(data);
+    }
+    emitter24.on('incomplete', function (incomplete) {
+      incomplete.event.should.eql('large');
+      incomplete.reason.should.eql('timeout');
+      incomplete.received.should.eql(incomplete.fragments - 1);
+      emitter24.removeAllListeners();
+      done();
+    });
+    emitter24.on('large', handler);
+    emitter24.emit('large', crypto.randomBytes(5000));
+  });
+  it('should reject an event that needs more than 65535 fragments', function(done) {
+    var emitter53 = new EventEmitter({
+      datagramSize: 512,
+      maxMessageSize: 64 * 1024 * 1024
+    });
+    emitter53.on('error', function (err) {
+      err.type.should.equal('encode');
+    });
+    emitter53.emit('huge', Buffer.alloc(30 * 1024 * 1024)).catch(function (err) {
+      err.message.should.containEql('more than 65535 fragments');
+      emitter53.close().then(function () {
+        done();
+      });
+    });
+  });
+  ['json', 'msgpack'].forEach(function (codec) {
+    it('should emit rich values using the ' + codec + ' codec', function(done) {
+      var emitter25 = new EventEmitter({
+        codec: codec
+      });
+      var date = new Date();
+      var map = new Map([['a', 1], ['b', new Set([1, 2])]]);
+      function handler(data, buffer, values) {
+        data.date.should.be.an.instanceOf(Date);
+        data.date.getTime().should.eql(date.getTime());
+        data.map.should.be.an.instanceOf(Map);
+        data.map.get('a').should.eql(1);
+        data.map.get('b').has(2).should.be.true;
+        Buffer.isBuffer(buffer).should.be.true;
+        buffer.toString().should.eql('buffer');
+        values.should.eql([1, 'two', null]);
+        emitter25.off('rich', handler);
+        done();
+      }
+      emitter25.on('rich', handler);
+      emitter25.emit('rich', { date: date, map: map }, Buffer.from('buffer'), [1, 'two', null]);
+    });
+  });
+  it('should emit an event using a custom codec', function(done) {
+    var emitter26 = new EventEmitter({
+      codec: {
+        id: 200,
+        name: 'csv',
+        encode: function (args) {
+          return Buffer.from(args.join(','));
+        },
+        decode: function (buffer) {
+          return buffer.toString().split(',');
+        }
+      }
+    });
+    function handler(a, b) {
+      a.should.eql('a');
+      b.should.eql('b');
+      emitter26.off('custom', handler);
+      done();
+    }
+    emitter26.on('custom', handler);
+    emitter26.emit('custom', 'a', 'b');
+  });
+  it('should drop an event encoded with a different codec', function(done) {
+    var emitter27 = new EventEmitter({
+      codec: 'json',
+      onError: function (err) {
+        err.message.should.match(/encoded with the codec 0 but json \(1\) was expected/);
+        emitter27.off('codec', handler);
+        done();
+      }
+    });
+    var emitter28 = new EventEmitter();
+    function handler(data) {
+      should.not.exist(data);
+    }
+    emitter27.on('codec', handler);
+    emitter28.emit('codec', 'message');
+  });
+  it('should call the other listeners when a listener throws', function(done) {
+    var emitter29 = new EventEmitter();
+    var reported;
+    emitter29.on('error', function (err) {
+      err.type.should.equal('handler');
+      err.cause.message.should.equal('boom');
+      reported = true;
+    });
+    function thrower() {
+      throw new Error('boom');
+    }
+    function handler(data) {
+      data.should.equal('message');
+      should.exist(reported);
+      emitter29.removeAllListeners();
+      done();
+    }
+    emitter29.on('throw', thrower);
+    emitter29.on('throw', handler);
+    emitter29.emit('throw', 'message');
+  });
+  it('should emit a decode error for a malformed datagram', function(done) {
+    var emitter30 = new EventEmitter();
+    var socket = events.transports[network].createSocket({});
+    function handler(data) {
+      should.not.exist(data);
+    }
+    emitter30.on('error', function (err) {
+      err.type.should.equal('decode');
+      err.message.should.match(/has received an unknown message/);
+      emitter30.removeAllListeners();
+      socket.close();
+      done();
+    });
+    emitter30.on('malformed', handler);
+    setTimeout(function () {
+      var garbage = Buffer.from('not a multicast event');
+      socket.send(garbage, emitter30.getPort('malformed'), emitter30.getAddress());
+    }, 100);
+  });
+  it('should remove only the specified listener', function(done) {
+    var emitter31 = new EventEmitter();
+    var calls = [];
+    function create(name) {
+      return function (data) {
+        calls.push(name + data);
+        if (calls.length === 2) {
+          calls.should.eql(['second1', 'third1']);
+          emitter31.removeAllListeners();
+          done();
+        }
+      };
+    }
+    var first = create('first'), second = create('second'), third = create('third');
+    emitter31.on('identity', first);
+    emitter31.on('identity', third);
+    emitter31.prependListener('identity', second);
+    emitter31.removeListener('identity', first);
+    emitter31.listeners('identity').should.eql([second, third]);
+    emitter31.emit('identity', 1);
+  });
+  it('should support the Node.js EventEmitter API', function(done) {
+    var emitter32 = new EventEmitter();
+    var meta = [];
+    emitter32.should.be.an.instanceof(require('events').EventEmitter);
+    emitter32.on('newListener', function (event) {
+      meta.push('new ' + event);
+    });
+    emitter32.on('removeListener', function (event) {
+      meta.push('remove ' + event);
+    });
+    function handler() {
+      should.fail('removed once listener called');
+    }
+    emitter32.once('api', handler);
+    emitter32.listenerCount('api').should.equal(1);
+    emitter32.listeners('api').should.eql([handler]);
+    emitter32.rawListeners('api')[0].should.not.equal(handler);
+    emitter32.eventNames().should.eql(['newListener', 'removeListener', 'api']);
+    emitter32.off('api', handler);
+    emitter32.listenerCount('api').should.equal(0);
+    emitter32.setMaxListeners(1).getMaxListeners().should.equal(1);
+    meta.should.eql(['new removeListener', 'new api', 'remove api']);
+    (function () {
+      emitter32.emit('error', new Error('unhandled'));
+    }).should.throw('unhandled');
+    emitter32.removeAllListeners();
+    emitter32.eventNames().should.eql([]);
+    done();
+  });
+  it('should queue the events emitted before the emitter is ready', function(done) {
+    var emitter33 = new EventEmitter();
+    var received = [];
+    emitter33.on('queued', function (data) {
+      received.push(data);
+      if (received.length === 3) {
+        received.should.eql([1, 2, 3]);
+        done();
+      }
+    });
+    emitter33.emit('queued', 1);
+    emitter33.emit('queued', 2);
+    emitter33.ready().then(function (emitter) {
+      emitter.should.equal(emitter33);
+      emitter33.emit('queued', 3);
+    });
+  });
+  it('should close the emitter and refuse the events emitted after close', function(done) {
+    var emitter34 = new EventEmitter();
+    emitter34.respond('closing', function () {
+      return new Promise(function () {});
+    });
+    var pending = emitter34.request('closing', { timeout: 5000 });
+    emitter34.ready().then(function () {
+      return emitter34.close();
+    }).then(function () {
+      emitter34.hasListeners('closing').should.be.false;
+      return emitter34.emit('closing').then(function () {
+        throw new Error('emit not rejected');
+      }, function (err) {
+        err.message.should.equal('emitter #' + emitter34.index + ' is closed: can\'t emit "closing"');
+        return pending;
+      });
+    }).then(function () {
+      done(new Error('request not rejected'));
+    }, function (err) {
+      err.message.should.match(/was closed before a reply to "closing"/);
+      done();
+    }).catch(done);
+  });
+  it('should wait for an event using a promise', function(done) {
+    var emitter35 = new EventEmitter();
+    var waiting = emitter35.waitFor('wait', {
+      filter: function (data) {
+        return data === 2;
+      }
+    });
+    emitter35.emit('wait', 1).then(function () {
+      return emitter35.emit('wait', 2);
+    }).then(function () {
+      return waiting;
+    }).then(function (args) {
+      args[0].should.equal(2);
+      args[1].event.should.equal('wait');
+      return emitter35.waitFor('never', { timeout: 50 });
+    }).then(function () {
+      done(new Error('waitFor not rejected'));
+    }, function (err) {
+      err.code.should.equal('ETIMEDOUT');
+      emitter35.eventNames().should.eql([]);
+      done();
+    }).catch(done);
+  });
+  it('should iterate the events dropping the oldest when the buffer is full', function(done) {
+    var emitter36 = new EventEmitter();
+    var iterator = emitter36.iterate('iterate', { highWaterMark: 2 });
+    var received = 0;
+    emitter36.on('iterate', function () {
+      if (++received < 3) {
+        return;
+      }
+      var values = [];
+      iterator.next().then(function (item) {
+        values.push(item.value[0]);
+        return iterator.next();
+      }).then(function (item) {
+        values.push(item.value[0]);
+        values.should.eql([2, 3]);
+        return iterator.return();
+      }).then(function (item) {
+        item.done.should.be.true;
+        emitter36.listenerCount('iterate').should.equal(1);
+        emitter36.removeAllListeners();
+        done();
+      }).catch(done);
+    });
+    emitter36.emit('iterate', 1);
+    emitter36.emit('iterate', 2);
+    emitter36.emit('iterate', 3);
+  });
+  it('should discover the peers of the group using the presence', function(done) {
+    var emitter37 = new EventEmitter({
+      name: 'watcher',
+      presence: true,
+      presenceInterval: 50
+    });
+    var emitter38 = new EventEmitter({
+      name: 'listener',
+      presence: true,
+      presenceInterval: 50
+    });
+    emitter38.on('watched', function () {});
+    emitter37.on('peer-join', function (peer) {
+      if (peer.name !== 'listener' || peer.events.length === 0) {
+        return;
+      }
+      peer.pid.should.equal(process.pid);
+      emitter37.peers('watched').length.should.equal(1);
+      emitter37.peers('unwatched').length.should.equal(0);
+      emitter38.close();
+    });
+    emitter37.on('peer-leave', function (peer, reason) {
+      peer.name.should.equal('listener');
+      reason.should.equal('leave');
+      emitter37.peers().length.should.equal(0);
+      emitter37.close().then(function () {
+        done();
+      });
+    });
+  });
+  it('should count the messages and the listener calls', function(done) {
+    var emitter39 = new EventEmitter({
+      name: 'measured'
+    });
+    emitter39.on('measured', function () {
+      throw new Error('measured');
+    });
+    emitter39.on('measured', function () {
+      var stats = emitter39.stats();
+      stats.name.should.equal('measured');
+      stats.events.measured.sent.should.equal(1);
+      stats.events.measured.received.should.equal(1);
+      stats.events.measured.receivedBytes.should.equal(stats.events.measured.sentBytes);
+      stats.events.measured.handled.should.equal(1);
+      stats.events.measured.handlerErrors.should.equal(1);
+      stats.errors.handler.should.equal(1);
+      var text = emitter39.stats({ format: 'prometheus' });
+      text.should.match(/# TYPE multicast_events_sent_total counter/);
+      text.should.match(/multicast_events_sent_total\{emitter="measured",event="measured"\} 1/);
+      text.should.match(/multicast_events_sent_total\{emitter="measured"\} 1/);
+      text.should.match(/multicast_events_errors_total\{emitter="measured",type="handler"\} 1/);
+      emitter39.removeAllListeners();
+      done();
+    });
+    emitter39.emit('measured', 'message');
+  });
+  it('should count the unknown and the local events only in the total', function(done) {
+    var emitter57 = new EventEmitter({ group: 'counted', transport: 'shared' });
+    var emitter58 = new EventEmitter({ group: 'counted', transport: 'shared' });
+    emitter57.on('error', function () {});
+    emitter57.emit('error', new Error('local'));
+    emitter57.on('counted.known', function () {
+      var stats = emitter57.stats();
+      Object.keys(stats.events).should.eql(['counted.known']);
+      stats.events['counted.known'].received.should.equal(1);
+      stats.total.received.should.equal(2);
+      // the error listener (the current listener is counted when it returns)
+      stats.total.handled.should.equal(1);
+      emitter57.stats({ format: 'prometheus' }).should.not.match(/event="(error|counted\.random)"/);
+      Promise.all([emitter57.close(), emitter58.close()]).then(function () {
+        done();
+      });
+    });
+    Promise.all([emitter57.ready(), emitter58.ready()]).then(function () {
+      return emitter58.emit('counted.random');
+    }).then(function () {
+      emitter58.emit('counted.known');
+    });
+  });
+  it('should emit and receive an event using IPv6', function(done) {
+    var emitter40 = new EventEmitter({
+      family: 'ipv6'
+    });
+    emitter40.getAddress().should.match(/^ff15::/);
+    emitter40.on('ipv6', function (data, rinfo) {
+      data.should.equal('message');
+      rinfo.family.should.equal('IPv6');
+      emitter40.close().then(function () {
+        done();
+      });
+    });
+    emitter40.emit('ipv6', 'message');
+  });
+  it('should don\'t set a wrong IPv6 scope or group', function(done) {
+    (function (){
+      new EventEmitter({
+        name: 'wrong',
+        family: 'ipv6',
+        scope: 15
+      });
+    }).should.throw('wrong must have 1 < scope < 14 as scope for a valid multicast address');
+    (function (){
+      new EventEmitter({
+        name: 'wrong',
+        group: 'ff12::1'
+      });
+    }).should.throw('wrong requires an interface for the group ff12::1');
+    (function (){
+      new EventEmitter({
+        name: 'wrong',
+        family: 'ipv4',
+        group: 'ff15::1'
+      });
+    }).should.throw('wrong can\'t use the group ff15::1 with the ipv4 family');
+    // ff::1 and ff5::1 are 00ff::1 and 0ff5::1: they are group names, not multicast addresses
+    Promise.all(['ff::1', 'ff5::1'].map(function (group) {
+      var emitter = new EventEmitter({
+        family: 'ipv6',
+        group: group
+      });
+      emitter.getAddress().should.match(/^ff15::/);
+      return emitter.close();
+    })).then(function () {
+      done();
+    }, done);
+  });
+  it('should drop the duplicated datagrams received by more interfaces', function(done) {
+    var emitter41 = new EventEmitter({
+      interfaces: 'all'
+    });
+    var send = emitter41.sender.send;
+    emitter41.sender.send = function () {
+      // the same datagram is received twice
+      send.apply(this, arguments);
+      send.apply(this, arguments);
+    };
+    var received = 0;
+    emitter41.on('duplicated', function (data) {
+      data.should.equal('message');
+      received++;
+    });
+    emitter41.emit('duplicated', 'message');
+    setTimeout(function () {
+      received.should.equal(1);
+      emitter41.stats().total.duplicateDrops.should.equal(1);
+      emitter41.close().then(function () {
+        done();
+      });
+    }, 200);
+  });
+  it('should leave the group on the removed interfaces', function(done) {
+    var networkInterfaces = os.networkInterfaces;
+    var emitter42 = new EventEmitter({
+      interfaces: 'all',
+      interfaceScan: 20
+    });
+    emitter42.on('scanned', function () {});
+    emitter42.ready().then(function () {
+      // all NICs are removed
+      os.networkInterfaces = function () {
+        return {};
+      };
+      setTimeout(function () {
+        os.networkInterfaces = networkInterfaces;
+        emitter42.memberships.should.eql([undefined]);
+        emitter42.close().then(function () {
+          done();
+        });
+      }, 100);
+    });
+  });
+  it('should deliver the reliable events in order on a lossy memory transport', function(done) {
+    // lose the second event and delay the third event after the next events
+    var random = [0.9, 0.9, 0.1, 0.9, 0.1];
+    var bus = new events.MemoryTransport({
+      latency: 5,
+      loss: 0.5,
+      reorder: 0.5,
+      random: function () {
+        return random.length > 0 ? random.shift() : 1;
+      }
+    });
+    var emitter43 = new EventEmitter({
+      network: bus,
+      reliable: true,
+      nackInterval: 20
+    });
+    var received = [];
+    emitter43.on('lossy', function (data) {
+      received.push(data);
+      if (received.length === 5) {
+        received.should.eql(['a', 'b', 'c', 'd', 'e']);
+        setTimeout(function () {
+          emitter43.stats().events.lossy.received.should.equal(7);
+          emitter43.close().then(function () {
+            done();
+          });
+        }, 20);
+      }
+    });
+    ['a', 'b', 'c', 'd', 'e'].forEach(function (data) {
+      emitter43.emit('lossy', data);
+    });
+  });
+  it('should don\'t bind a port in use on the memory transport', function(done) {
+    var bus = new events.MemoryTransport();
+    var emitter44 = new EventEmitter({
+      network: bus
+    });
+    var emitter45 = new EventEmitter({
+      network: bus
+    });
+    emitter44.on('busy', function () {});
+    emitter45.on('error', function (err) {
+      err.type.should.equal('bind');
+      err.cause.code.should.equal('EADDRINUSE');
+    });
+    emitter45.on('busy', function () {});
+    emitter45.ready().then(function () {
+      done(new Error('the port in use is bound'));
+    }, function (err) {
+      err.code.should.equal('EADDRINUSE');
+      Promise.all([emitter44.close(), emitter45.close()]).then(function () {
+        done();
+      });
+    });
+  });
+  itNetwork('should emit an event using the command line tool', function(done) {
+    var emitter46 = new EventEmitter({
+      id: 'cli'
+    });
+    emitter46.on('cli', function (data, count, name) {
+      data.should.eql({ a: 1 });
+      count.should.equal(42);
+      name.should.equal('name');
+      emitter46.close().then(function () {
+        done();
+      });
+    });
+    emitter46.ready().then(function () {
+      var cli = path.resolve(__dirname, '../bin/multicast-events.js');
+      require('child_process').execFile(process.execPath, [cli, 'emit', 'cli', '{"a":1}', '42', 'name', '--id', 'cli'], function (err) {
+        if (err) {
+          done(err);
+        }
+      });
+    });
+  });
+  it('should not emit a local event using the command line tool', function(done) {
+    var cli = path.resolve(__dirname, '../bin/multicast-events.js');
+    require('child_process').execFile(process.execPath, [cli, 'emit', 'gap', '1'], function (err, stdout, stderr) {
+      should.exist(err);
+      err.code.should.equal(1);
+      stderr.should.match(/^can't emit "gap": it is a local or reserved event, a pattern or longer than 255 bytes\n/);
+      done();
+    });
+  });
+  itNetwork('should listen the events using the command line tool', function(done) {
+    this.timeout(10000);
+    var emitter60 = new EventEmitter({
+      id: 'cli-listen'
+    });
+    var cli = path.resolve(__dirname, '../bin/multicast-events.js');
+    var child = require('child_process').spawn(process.execPath, [cli, 'listen', 'cli.listened', '--id', 'cli-listen']);
+    var output = '';
+    var timer;
+    child.stdout.on('data', function (data) {
+      output += data;
+      // the listener prints the event with the sender address and the arguments
+      if (/cli\.listened from [0-9a-f.:]+:\d+ \{ a: 1 \} 42\n/.test(output)) {
+        clearInterval(timer);
+        child.kill('SIGTERM');
+      }
+    });
+    child.on('exit', function (code) {
+      clearInterval(timer);
+      emitter60.close().then(function () {
+        should(code).equal(0);
+        done();
+      });
+    });
+    // the events are emitted until the child process is listening
+    timer = setInterval(function () {
+      emitter60.emit('cli.listened', { a: 1 }, 42);
+    }, 100);
+  });
+  itNetwork('should sniff the events using the command line tool', function(done) {
+    this.timeout(10000);
+    var emitter69 = new EventEmitter({
+      id: 'cli-sniff',
+      transport: 'shared'
+    });
+    var cli = path.resolve(__dirname, '../bin/multicast-events.js');
+    var child = require('child_process').spawn(process.execPath, [cli, 'sniff', '--id', 'cli-sniff', '--transport', 'shared']);
+    var output = '';
+    var timer;
+    child.stdout.on('data', function (data) {
+      output += data;
+      // every event of the group is printed with its destination and its sender
+      if (/cli\.sniffed \([0-9a-f.:]+:\d+\) from [0-9a-f.:]+:\d+ 'sniffed'\n/.test(output)) {
+        clearInterval(timer);
+        child.kill('SIGTERM');
+      }
+    });
+    child.on('exit', function (code) {
+      clearInterval(timer);
+      emitter69.close().then(function () {
+        should(code).equal(0);
+        output.should.match(/^group events address [0-9a-f.:]+ family ipv4 transport shared\n/);
+        done();
+      });
+    });
+    // the events are emitted until the child process is sniffing
+    timer = setInterval(function () {
+      emitter69.emit('cli.sniffed', 'sniffed');
+    }, 100);
+  });
+  it('should record the events and replay them with the original timing', function(done) {
+    var stream = require('stream');
+    var emitter47 = new EventEmitter({
+      transport: 'shared',
+      codec: 'json'
+    });
+    var lines = [];
+    var recorder = new events.Recorder(emitter47, {
+      output: new stream.Writable({
+        write: function (chunk, encoding, callback) {
+          lines.push(chunk.toString());
+          callback();
+        }
+      })
+    });
+    emitter47.emit('recorded.a', { date: new Date(0) }).then(function () {
+      setTimeout(function () {
+        emitter47.emit('recorded.b', Buffer.from('b'));
+      }, 100);
+    });
+    var replayed = [];
+    setTimeout(function () {
+      recorder.stop().then(function (count) {
+        count.should.equal(2);
+        var recorded = JSON.parse(lines[0]);
+        recorded.event.should.equal('recorded.a');
+        recorded.sender.port.should.be.a.Number;
+        recorded.sent.should.not.be.above(recorded.timestamp);
+        emitter47.on('recorded.*', function (data, rinfo) {
+          replayed.push([rinfo.event, data, Date.now()]);
+        });
+        return events.replay(emitter47, stream.Readable.from([lines.join('')]), { speed: 2 });
+      }).then(function (count) {
+        count.should.equal(2);
+        setTimeout(function () {
+          replayed[0][1].should.eql({ date: new Date(0) });
+          replayed[1][1].should.eql(Buffer.from('b'));
+          // the interval between the events is halved
+          (replayed[1][2] - replayed[0][2]).should.be.within(30, 80);
+          emitter47.close().then(function () {
+            done();
+          });
+        }, 50);
+      }).catch(done);
+    }, 200);
+  });
+  it('should relay the allowed events between two groups using the bridges', function(done) {
+    // the emitters of a process listening the same events share the port
+    var siteA = new EventEmitter({ group: 'site-a', transport: 'shared' });
+    var siteB = new EventEmitter({ group: 'site-b', transport: 'shared' });
+    var bridgeA = new events.Bridge(new EventEmitter({ group: 'site-a', transport: 'shared' }), {
+      events: ['bridged', 'private']
+    });
+    var bridgeB = new events.Bridge(new EventEmitter({ group: 'site-b', transport: 'shared' }), {
+      events: ['bridged'],
+      allow: ['bridged']
+    });
+    var received = { a: 0, b: 0 };
+    siteA.on('bridged', function () {
+      received.a++;
+    });
+    siteB.on('bridged', function (data, rinfo) {
+      data.should.eql({ site: 'a' });
+      rinfo.peer.should.equal(bridgeB.emitter.getPeerId());
+      received.b++;
+    });
+    siteB.on('private', function (data) {
+      should.not.exist(data);
+    });
+    bridgeA.listen(0, '127.0.0.1').then(function (address) {
+      bridgeB.connect(address.port, '127.0.0.1');
+      bridgeB.once('link', function () {
+        Promise.all([siteA.ready(), siteB.ready(), bridgeA.emitter.ready(), bridgeB.emitter.ready()]).then(function () {
+          siteA.emit('private', 'secret');
+          siteA.emit('bridged', { site: 'a' });
+        });
+      });
+    });
+    setTimeout(function () {
+      // the event is not relayed back to the first group
+      received.should.eql({ a: 1, b: 1 });
+      Promise.all([bridgeA.close(), bridgeB.close()]).then(function () {
+        return Promise.all([siteA, siteB, bridgeA.emitter, bridgeB.emitter].map(function (emitter) {
+          return emitter.close();
+        }));
+      }).then(function () {
+        done();
+      });
+    }, 500);
+  });
+  it('should drop the frames of the events that can\'t be emitted without closing the bridge', function(done) {
+    var net = require('net');
+    var site = new EventEmitter({ group: 'site-c', transport: 'shared' });
+    var bridge = new events.Bridge(new EventEmitter({ group: 'site-c', transport: 'shared' }), {
+      events: ['bridged'],
+      allow: ['**']
+    });
+    var errors = [];
+    bridge.on('error', function (err) {
+      errors.push(err.message);
+    });
+    site.on('bridged', function (data) {
+      data.should.equal('valid');
+      errors.length.should.equal(4);
+      client.destroy();
+      bridge.close().then(function () {
+        return Promise.all([site.close(), bridge.emitter.close()]);
+      }).then(function () {
+        done();
+      });
+    });
+    var client;
+    Promise.all([site.ready(), bridge.emitter.ready(), bridge.listen(0, '127.0.0.1')]).then(function (results) {
+      client = net.connect(results[2].port, '127.0.0.1', function () {
+        var seq = 0;
+        var frames = [{ type: 'hello', id: 'forged' }];
+        ['gap', '$presence', 'a.*', new Array(300).join('x'), 'bridged'].forEach(function (event) {
+          frames.push({ type: 'event', origin: 'forged', seq: seq++, path: ['forged'], event: event, args: ['valid'] });
+        });
+        client.write(frames.map(function (frame) {
+          return JSON.stringify(frame) + '\n';
+        }).join(''));
+      });
+    });
+  });
+  it('should close the link that sends a frame greater than the max size', function(done) {
+    var net = require('net');
+    var site = new EventEmitter({ group: 'site-d', transport: 'shared' });
+    var bridge = new events.Bridge(new EventEmitter({ group: 'site-d', transport: 'shared' }), {
+      events: ['bridged'],
+      allow: ['**'],
+      maxFrameSize: 200
+    });
+    var errors = [];
+    bridge.on('error', function (err) {
+      errors.push(err.message);
+    });
+    site.on('bridged', function () {
+      done(new Error('the frame is greater than the max size'));
+    });
+    Promise.all([site.ready(), bridge.emitter.ready(), bridge.listen(0, '127.0.0.1')]).then(function (results) {
+      var client = net.connect(results[2].port, '127.0.0.1', function () {
+        var frames = [{ type: 'hello', id: 'large' }, {
+          type: 'event', origin: 'large', seq: 0, path: ['large'], event: 'bridged', args: [new Array(300).join('x')]
+        }];
+        // the complete frames of a single chunk
+        client.write(frames.map(function (frame) {
+          return JSON.stringify(frame) + '\n';
+        }).join(''));
+      });
+      client.resume();
+      client.on('close', function () {
+        errors.should.eql([bridge.name + ' has received a frame greater than 200 bytes']);
+        bridge.close().then(function () {
+          return Promise.all([site.close(), bridge.emitter.close()]);
+        }).then(function () {
+          done();
+        });
+      });
+    });
+  });
+  it('should compress a large event before the encryption', function(done) {
+    var emitter48 = new EventEmitter({
+      secure: true,
+      secret: 'password',
+      compress: 'brotli',
+      compressThreshold: 512
+    });
+    var payload = [];
+    var i;
+    for (i = 0; i < 2000; i++) {
+      payload.push({ id: i, name: 'item #' + i });
+    }
+    var sent = [];
+    var send = emitter48.sender.send;
+    emitter48.sender.send = function (data) {
+      sent.push(data);
+      return send.apply(this, arguments);
+    };
+    emitter48.on('compressed', function (data) {
+      data.should.eql(payload);
+      // the uncompressed event needs more than 40 datagrams
+      sent.length.should.be.below(10);
+      (sent[0][4] & 0x02).should.equal(0x02);
+      emitter48.close().then(function () {
+        done();
+      });
+    });
+    emitter48.emit('compressed', payload);
+  });
+  it('should enrich and veto the events with a middleware', function(done) {
+    var emitter49 = new EventEmitter();
+    emitter49.use(function (message) {
+      if (message.direction === 'outbound') {
+        if (message.event === 'middleware.vetoed') {
+          return false;
+        }
+        message.args.push({ traceId: 'abc' });
+      } else {
+        message.args = message.args.slice(0, -1).concat(message.args[message.args.length - 1].traceId);
+      }
+    });
+    emitter49.on('middleware.traced', function (value, traceId) {
+      value.should.equal('value');
+      traceId.should.equal('abc');
+      emitter49.emit('middleware.vetoed', 'value').catch(function (err) {
+        err.message.should.containEql('vetoed by a middleware');
+        emitter49.close().then(function () {
+          done();
+        });
+      });
+    });
+    emitter49.emit('middleware.traced', 'value');
+  });
+  it('should validate the arguments of a defined event', function(done) {
+    var emitter50 = new EventEmitter();
+    var emitter51 = new EventEmitter();
+    emitter50.defineEvent('order.*', {
+      validate: function (order) {
+        if (!(order && order.id > 0)) {
+          throw new Error('the order requires a positive id');
+        }
+      }
+    });
+    emitter50.emit('order.created', { id: 0 }).then(function () {
+      done(new Error('unexpected send'));
+    }, function (err) {
+      err.message.should.match(/invalid arguments: the order requires a positive id/);
+    });
+    emitter50.on('error', function (err) {
+      err.type.should.equal('validation');
+      err.message.should.containEql('the order requires a positive id');
+      emitter51.emit('order.created', { id: 1 });
+    });
+    emitter50.on('order.created', function (order) {
+      order.id.should.equal(1);
+      Promise.all([emitter50.close(), emitter51.close()]).then(function () {
+        done();
+      });
+    });
+    emitter50.ready().then(function () {
+      emitter51.emit('order.created', { id: -1 });
+    });
+  });
+  it('should validate and enrich the requests with the middlewares', function(done) {
+    var emitter55 = new EventEmitter();
+    var emitter56 = new EventEmitter();
+    emitter55.use(function (message) {
+      if (message.type === 'request' && message.direction === 'inbound') {
+        message.args = message.args.concat('enriched');
+      }
+    });
+    emitter55.defineEvent('sum.checked', {
+      validate: function (a, b) {
+        return typeof a === 'number' && typeof b === 'number';
+      }
+    });
+    emitter55.respond('sum.checked', function (a, b, tag) {
+      tag.should.equal('enriched');
+      return a + b;
+    });
+    var errors = [];
+    emitter55.on('error', function (err) {
+      errors.push(err.type);
+    });
+    emitter55.request('sum.checked', 'a', 2).then(function () {
+      done(new Error('unexpected reply'));
+    }, function (err) {
+      err.message.should.containEql('invalid arguments');
+      // the requester without the definition sends the invalid request
+      return emitter56.request('sum.checked', 'a', 2, { timeout: 100 });
+    }).then(function () {
+      done(new Error('unexpected reply'));
+    }, function (err) {
+      err.code.should.equal('ETIMEDOUT');
+      errors.should.eql(['validation']);
+      return emitter56.request('sum.checked', 1, 2);
+    }).then(function (result) {
+      result.should.equal(3);
+      return Promise.all([emitter55.close(), emitter56.close()]);
+    }).then(function () {
+      done();
+    }, done);
+  });
+  it('should drop the datagrams of the sources not allowed', function(done) {
+    (function () {
+      new EventEmitter({
+        name: 'sources',
+        allowSources: ['10.0.0.0/33']
+      });
+    }).should.throw('sources has the invalid source 10.0.0.0/33: it must be an IP or a CIDR');
+    var emitter52 = new EventEmitter({
+      denySources: '198.51.100.0/24'
+    });
+    emitter52.defineEvent('source.denied', {
+      denySources: ['0.0.0.0/0']
+    });
+    emitter52.on('source.denied', function () {
+      done(new Error('the source is denied'));
+    });
+    emitter52.on('source.allowed', function () {
+      setTimeout(function () {
+        emitter52.stats().total.sourceDrops.should.equal(1);
+        emitter52.stats({ format: 'prometheus' }).should.match(/\nmulticast_events_source_drops_total\{emitter="[^"]+"\} 1\n/);
+        should.not.exist(emitter52.stats().errors.handler);
+        emitter52.close().then(function () {
+          done();
+        });
+      }, 100);
+    });
+    emitter52.emit('source.denied');
+    emitter52.emit('source.allowed');
+  });
+  it('should join the allowed sources of the defined events with source-specific multicast', function(done) {
+    var bus = new events.MemoryTransport();
+    var joined = [];
+    // a memory network with the source-specific multicast: the source 10.0.0.1 is not supported
+    var network = {
+      createSocket: function (options) {
+        var socket = bus.createSocket(options);
+        socket.joinSource = function (source, group, membership) {
+          if (source === '10.0.0.1') {
+            throw new Error('source-specific multicast not supported');
+          }
+          joined.push(source);
+          socket.join(group, membership);
+        };
+        socket.leaveSource = function (source, group, membership) {
+          socket.leave(group, membership);
+        };
+        return socket;
+      }
+    };
+    var emitter59 = new EventEmitter({
+      network: network
+    });
+    // the memory network sends from 127.0.0.1
+    emitter59.defineEvent('config.*', {
+      allowSources: ['127.0.0.1']
+    });
+    emitter59.defineEvent('other.*', {
+      allowSources: '10.0.0.1'
+    });
+    emitter59.on('other.updated', function () {
+      done(new Error('the source is not allowed'));
+    });
+    emitter59.on('config.updated', function (config) {
+      config.should.equal('config');
+      joined.should.eql(['127.0.0.1']);
+      emitter59.subscriptions['config.updated'].receiver.sources.should.eql(['127.0.0.1']);
+      // the receiver of other.updated has joined any source
+      should.not.exist(emitter59.subscriptions['other.updated'].receiver.sources);
+      setTimeout(function () {
+        emitter59.stats().total.sourceDrops.should.equal(1);
+        emitter59.close().then(function () {
+          done();
+        });
+      }, 50);
+    });
+    emitter59.ready().then(function () {
+      emitter59.emit('other.updated', 'other');
+      emitter59.emit('config.updated', 'config');
+    });
+  });
   it('should don\'t set a wrong interface', function(done) {
     (function (){
       new EventEmitter({